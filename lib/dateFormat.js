@@ -0,0 +1,118 @@
+// dateFormat.js
+
+import {
+  differenceInCalendarDays,
+  differenceInMonths,
+  differenceInSeconds,
+  differenceInYears,
+  format,
+  formatISO,
+  startOfDay,
+} from "date-fns";
+import { resolveLocale } from "./locales.js";
+
+const NAMED_DATE_FORMATS = ["relative", "ago", "calendar", "iso", "unix"];
+
+/**
+ * Checks if a format specifier is a named date format rather than a date-fns pattern.
+ * @param {string} specifier - The format specifier, e.g. "relative" or "yyyy-MM-dd".
+ * @returns {boolean}
+ */
+export function isNamedDateFormat(specifier) {
+  return NAMED_DATE_FORMATS.includes(specifier.toLowerCase());
+}
+
+/**
+ * Formats a date with a named format:
+ * - "relative" for the distance from now, e.g. "in 4 days", "tomorrow" or "last month".
+ * - "ago" for the distance from now in numbers, e.g. "7 months ago" or "4 days from now".
+ * - "calendar" for the day relative to today, e.g. "Tomorrow at 9:00 AM", "Friday" or "Last Monday",
+ *   and the full date beyond a week, e.g. "May 20th, 2024".
+ * - "iso" for ISO 8601, e.g. "2024-04-28" or "2024-04-28T09:00:00Z".
+ * - "unix" for the seconds since January 1, 1970 UTC, e.g. "1714294800".
+ * @param {Date} date - The date to format.
+ * @param {string} specifier - The named format.
+ * @param {Date} now - The date that relative formats are measured from.
+ * @param {boolean} includesTime - If the time of day is part of the date rather than midnight.
+ * @param {Locale} [locale] - The language to format in. Other languages than English phrase "ago"
+ * like "relative" but always in numbers, e.g. "hace 7 meses".
+ * @returns {string|null} - The formatted date or null if the specifier isn't a named date format.
+ */
+export function formatNamedDate(date, specifier, now, includesTime, locale = resolveLocale()) {
+  switch (specifier.toLowerCase()) {
+    case "relative": {
+      const { value, unit } = getDistance(date, now, includesTime);
+      return new Intl.RelativeTimeFormat(locale.code, { numeric: "auto" }).format(value, unit);
+    }
+    case "ago": {
+      const { value, unit } = getDistance(date, now, includesTime);
+      if (locale.code !== "en") {
+        return new Intl.RelativeTimeFormat(locale.code, { numeric: "always" }).format(value, unit);
+      }
+      if (value === 0) return unit === "day" ? "today" : "just now";
+      const amount = `${Math.abs(value)} ${unit}${Math.abs(value) === 1 ? "" : "s"}`;
+      return value < 0 ? `${amount} ago` : `${amount} from now`;
+    }
+    case "calendar":
+      return formatCalendarDate(date, now, includesTime, locale);
+    case "iso":
+      return formatISO(date, { representation: includesTime ? "complete" : "date" });
+    case "unix":
+      return String(Math.floor(date.getTime() / 1000));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Measures the distance from now to a date in its largest whole unit, counting dates in calendar days.
+ * @param {Date} date - The date.
+ * @param {Date} now - The date to measure from.
+ * @param {boolean} includesTime - If the time of day counts, so a date later today is hours away.
+ * @returns {{value: number, unit: string}} - The distance, negative for past dates, in seconds,
+ * minutes, hours, days, weeks, months or years.
+ */
+function getDistance(date, now, includesTime) {
+  if (includesTime) {
+    const seconds = differenceInSeconds(date, now);
+    if (Math.abs(seconds) < 60) return { value: 0, unit: "second" };
+    if (Math.abs(seconds) < 60 * 60) return { value: Math.trunc(seconds / 60), unit: "minute" };
+    if (Math.abs(seconds) < 24 * 60 * 60) {
+      return { value: Math.trunc(seconds / (60 * 60)), unit: "hour" };
+    }
+  }
+
+  const day = startOfDay(date);
+  const today = startOfDay(now);
+  const years = differenceInYears(day, today);
+  if (years) return { value: years, unit: "year" };
+  const months = differenceInMonths(day, today);
+  if (months) return { value: months, unit: "month" };
+  const days = differenceInCalendarDays(day, today);
+  if (Math.abs(days) >= 7) return { value: Math.trunc(days / 7), unit: "week" };
+  return { value: days, unit: "day" };
+}
+
+/**
+ * Formats a date relative to today, like "Today at 9:00 AM", "Friday" or "Last Monday",
+ * and as a full date like "May 20th, 2024" if it is a week or more away.
+ * @param {Date} date - The date.
+ * @param {Date} now - The current date.
+ * @param {boolean} includesTime - If the time of day is added, e.g. "at 9:00 AM".
+ * @param {Locale} locale - The language to format in.
+ * @returns {string}
+ */
+function formatCalendarDate(date, now, includesTime, locale) {
+  const options = { locale: locale.dateFnsLocale };
+  const days = differenceInCalendarDays(date, now);
+  let day;
+  if (Math.abs(days) <= 1) {
+    day = new Intl.RelativeTimeFormat(locale.code, { numeric: "auto" }).format(days, "day");
+  } else if (days > 1 && days < 7) day = format(date, "EEEE", options);
+  else if (days < -1 && days > -7) day = format(date, locale.formats.lastWeekday, options);
+  else day = format(date, locale.formats.date, options);
+  const formatted = includesTime
+    ? `${day} ${format(date, locale.formats.calendarTime, options)}`
+    : day;
+  return formatted.charAt(0).toUpperCase() + formatted.slice(1);
+}
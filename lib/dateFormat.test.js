@@ -0,0 +1,112 @@
+// dateFormat.test.js
+import { formatNamedDate, isNamedDateFormat } from "./dateFormat.js";
+import { resolveLocale } from "./locales.js";
+
+describe("Date Format", () => {
+  const now = new Date(2024, 3, 27, 10, 0, 0, 0); // Saturday, April 27, 2024 10:00am
+
+  describe("isNamedDateFormat", () => {
+    test("should recognize named formats in any case", () => {
+      expect(isNamedDateFormat("relative")).toBe(true);
+      expect(isNamedDateFormat("Calendar")).toBe(true);
+      expect(isNamedDateFormat("UNIX")).toBe(true);
+    });
+
+    test("should not recognize date-fns patterns", () => {
+      expect(isNamedDateFormat("yyyy-MM-dd")).toBe(false);
+      expect(isNamedDateFormat("iso8601")).toBe(false);
+    });
+  });
+
+  describe("relative", () => {
+    test.each([
+      [new Date(2024, 3, 27), "today"],
+      [new Date(2024, 3, 28), "tomorrow"],
+      [new Date(2024, 3, 26), "yesterday"],
+      [new Date(2024, 4, 3), "in 6 days"],
+      [new Date(2024, 4, 11), "in 2 weeks"],
+      [new Date(2024, 1, 1), "2 months ago"],
+      [new Date(2024, 4, 27), "next month"],
+      [new Date(2026, 5, 1), "in 2 years"],
+    ])("should format the date %s as %s", (date, expected) => {
+      expect(formatNamedDate(date, "relative", now, false)).toBe(expected);
+    });
+
+    test.each([
+      [new Date(2024, 3, 27, 10, 0, 30), "now"],
+      [new Date(2024, 3, 27, 10, 45), "in 45 minutes"],
+      [new Date(2024, 3, 27, 7, 0), "3 hours ago"],
+      [new Date(2024, 3, 30, 9, 0), "in 3 days"],
+    ])("should format the date and time %s as %s", (date, expected) => {
+      expect(formatNamedDate(date, "relative", now, true)).toBe(expected);
+    });
+  });
+
+  describe("ago", () => {
+    test.each([
+      [new Date(2024, 2, 1), false, "1 month ago"],
+      [new Date(2023, 2, 1), false, "1 year ago"],
+      [new Date(2024, 4, 1), false, "4 days from now"],
+      [new Date(2024, 3, 26), false, "1 day ago"],
+      [new Date(2024, 3, 27), false, "today"],
+      [new Date(2024, 3, 27, 10, 0, 10), true, "just now"],
+      [new Date(2024, 3, 27, 9, 50), true, "10 minutes ago"],
+    ])("should format %s as %s", (date, includesTime, expected) => {
+      expect(formatNamedDate(date, "ago", now, includesTime)).toBe(expected);
+    });
+  });
+
+  describe("calendar", () => {
+    test.each([
+      [new Date(2024, 3, 27, 12, 0), true, "Today at 12:00 PM"],
+      [new Date(2024, 3, 28, 9, 0), true, "Tomorrow at 9:00 AM"],
+      [new Date(2024, 3, 26), false, "Yesterday"],
+      [new Date(2024, 4, 3), false, "Friday"],
+      [new Date(2024, 3, 22, 14, 30), true, "Last Monday at 2:30 PM"],
+      [new Date(2024, 4, 20), false, "May 20th, 2024"],
+      [new Date(2024, 3, 20), false, "April 20th, 2024"],
+    ])("should format %s as %s", (date, includesTime, expected) => {
+      expect(formatNamedDate(date, "calendar", now, includesTime)).toBe(expected);
+    });
+  });
+
+  describe("iso and unix", () => {
+    test("should format dates as ISO 8601", () => {
+      expect(formatNamedDate(new Date(2024, 3, 28), "iso", now, false)).toBe("2024-04-28");
+      expect(formatNamedDate(new Date(Date.UTC(2024, 3, 28, 9, 0)), "iso", now, true)).toMatch(
+        /^2024-04-28T\d{2}:00:00(?:Z|[+-]\d{2}:\d{2})$/
+      );
+    });
+
+    test("should format dates as seconds since the epoch", () => {
+      expect(formatNamedDate(new Date(Date.UTC(2024, 3, 28, 9, 0)), "unix", now, true)).toBe(
+        "1714294800"
+      );
+    });
+  });
+
+  describe("locales", () => {
+    test("should format relative dates in the language", () => {
+      const german = resolveLocale("de");
+      expect(formatNamedDate(new Date(2024, 4, 3), "relative", now, false, german)).toBe(
+        "in 6 Tagen"
+      );
+      expect(formatNamedDate(new Date(2024, 2, 1), "ago", now, false, german)).toBe("vor 1 Monat");
+    });
+
+    test("should format calendar dates in the language", () => {
+      const spanish = resolveLocale("es");
+      expect(formatNamedDate(new Date(2024, 3, 26), "calendar", now, false, spanish)).toBe("Ayer");
+      expect(formatNamedDate(new Date(2024, 3, 22, 9), "calendar", now, true, spanish)).toBe(
+        "Lunes pasado a las 9:00"
+      );
+      expect(formatNamedDate(new Date(2024, 4, 20), "calendar", now, false, spanish)).toBe(
+        "20 de mayo de 2024"
+      );
+    });
+  });
+
+  test("should return null for other formats", () => {
+    expect(formatNamedDate(now, "yyyy", now, false)).toBeNull();
+  });
+});
@@ -0,0 +1,559 @@
+// dateGrammar.js
+
+/**
+ * A word, number or symbol of a date expression.
+ * @typedef {Object} Token
+ * @property {string} type - 'word', 'number', 'ordinal' or 'symbol'.
+ * @property {string} text - The token as written, e.g. "Friday", "1.5", "3rd" or "+".
+ * @property {number} start - The offset of the token in the expression.
+ * @property {number} end - The offset after the token.
+ */
+
+/**
+ * A node of a parsed date expression, with the offsets of the text it was parsed from.
+ * @typedef {Object} DateNode
+ * @property {string} type - 'phrase' for dates on their own like "Friday" or "next month",
+ * 'arithmetic' ("today + 3d"), 'timeZone' ("9am PST", "now in Tokyo"), 'dateTime' ("tomorrow at 9am"),
+ * 'offset' ("2 days after Friday") or 'ordinalDay' ("the 3rd business day of next month").
+ * @property {number} start - The offset of the node in the expression.
+ * @property {number} end - The offset after the node.
+ * @property {string} [text] - The text of phrases.
+ * @property {DateNode} [base] - The date that arithmetic, time zones, times and offsets apply to.
+ * @property {number} [sign] - 1 to add the duration of arithmetic and offsets, -1 to subtract it.
+ * @property {Array<{value: number, unit: string}>} [duration] - The duration of arithmetic and offsets.
+ * @property {boolean} [addsTime] - If the duration of arithmetic and offsets has hours, minutes or seconds.
+ * @property {*} [zone] - The time zone, as resolved by the terminals.
+ * @property {boolean} [converts] - If the base is shown "in" the time zone rather than read in it.
+ * @property {string} [time] - The time of dateTime nodes, e.g. "9am", "14:30" or "noon".
+ * @property {string} [ordinal] - The position of ordinal days, e.g. "3rd", "last" or "100".
+ * @property {string} [dayType] - The days ordinal days count, e.g. "day", "business day" or "Monday".
+ * @property {string} [period] - The period ordinal days are counted in, e.g. "next month".
+ */
+
+/**
+ * The words the grammar leaves to the evaluator: dates on their own, times, durations and time zones.
+ * @typedef {Object} DateTerminals
+ * @property {function(string): boolean} isDate - Checks if a phrase is a date on its own, like "Friday".
+ * @property {function(string): boolean} isTime - Checks if a phrase is a time, like "9am", "14:30" or "noon".
+ * @property {function(string): (Array<{value: number, unit: string}>|null)} parseDuration - Parses
+ * durations like "2 days and 3 hours".
+ * @property {function(string): (Array<{value: number, unit: string}>|null)} parseDurationLiteral - Parses
+ * duration literals like "1d 12h".
+ * @property {function(string): *} resolveTimeZone - Resolves time zones like "PST" or "Tokyo", or returns null.
+ * @property {function(string): boolean} isMonthName - Checks if a phrase is a month like "March" or "March 2027".
+ */
+
+// Positions of ordinal words like "third Friday" or "last day"
+export const ORDINAL_WORDS = Object.freeze({
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10,
+  last: -1,
+});
+
+// Days that ordinal days can count, like "3rd business day" or "last Friday"
+const DAY_TYPES = Object.freeze([
+  "day",
+  "weekday",
+  "businessday",
+  "workday",
+  "workingday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+]);
+
+// Duration units that move the time of day rather than the day
+const TIME_UNITS = Object.freeze(["hour", "minute", "second"]);
+
+// Ordinals like "3rd", numbers like "1.5", words like "Tokyo" or "FY27" and single symbols like "+"
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:st|nd|rd|th)(?![\p{L}\p{N}]))|(\d+(?:\.\d+)?)|(\p{L}[\p{L}\p{N}_']*)|(\S))/uy;
+
+/**
+ * Splits a date expression into words, numbers, ordinals and symbols.
+ * @param {string} expr - The date expression, e.g. "2 days after Friday at 9am".
+ * @returns {Token[]} - The tokens, without the whitespace between them.
+ */
+export function tokenize(expr) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let tokenMatch;
+  while ((tokenMatch = TOKEN_PATTERN.exec(expr))) {
+    const [, ordinal, number, word, symbol] = tokenMatch;
+    const text = ordinal || number || word || symbol;
+    const type = ordinal ? "ordinal" : number ? "number" : word ? "word" : "symbol";
+    tokens.push({
+      type,
+      text,
+      start: TOKEN_PATTERN.lastIndex - text.length,
+      end: TOKEN_PATTERN.lastIndex,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Parses how a date expression is made of other dates, like "2 days before 3 weeks after Friday at 9am".
+ * The rules are tried in order of precedence, loosest first, and each one spans the whole text it parses:
+ *
+ *   date       := arithmetic | timeZone | recurrence | dateTime | offset | ordinalDay | phrase
+ *   arithmetic := date ("+" | "-") durationLiteral
+ *   timeZone   := date "in" zone | date zone
+ *   dateTime   := date "at"? time | date "at" hour
+ *   offset     := duration ("before" | "after") "the"? date
+ *   ordinalDay := "the"? ordinal dayType "of" "the"? period | "day" number "of" "the"? period
+ *               | "the"? ordinal ("of" "the"? period)?
+ *
+ * Phrases are dates on their own that the terminals check, like "Friday" or "next month", and recurrences
+ * like "every Monday at 9am" are phrases too, since their time applies to each occurrence. Each span of
+ * tokens is parsed once, so nested expressions take polynomial rather than exponential time.
+ * @param {string} expr - The date expression.
+ * @param {DateTerminals} terminals - Checks the phrases, times, durations and time zones in the expression.
+ * @returns {{tree: DateNode|null, error: {position: number, text: string}|null}} - The tree, which is null if the
+ * expression isn't made of other dates. If it isn't, the error is the phrase that isn't a date after a duration
+ * and "before", "after", "+" or "-", like "Fridya" in "2 days after Fridya at 9am", if any. Other phrases, like
+ * "Call Bob" in "Call Bob at 5pm", are more likely text than dates.
+ */
+export function parseDateGrammar(expr, terminals) {
+  const parser = {
+    expr,
+    tokens: tokenize(expr),
+    terminals,
+    spans: new Map(),
+    failures: new Map(),
+    error: null,
+  };
+  const tree = parseComposedDate(parser, 0, parser.tokens.length);
+  return { tree, error: tree ? null : parser.error };
+}
+
+/**
+ * Parses a span of tokens as a date, either made of other dates or a phrase.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseDate(parser, start, end) {
+  const key = `${start}:${end}`;
+  if (!parser.spans.has(key)) {
+    const node = parseComposedDate(parser, start, end) || parsePhrase(parser, start, end);
+    parser.spans.set(key, node);
+    // Spans that a rule split but whose base isn't a date already failed on the phrase inside them
+    if (!node && !parser.failures.has(key)) {
+      parser.failures.set(key, {
+        position: parser.tokens[start].start,
+        text: getText(parser, start, end),
+      });
+    }
+  }
+  return parser.spans.get(key);
+}
+
+/**
+ * Parses the date that a rule applies to, like the "Friday" in "Friday at 9am". If it isn't a date, the phrase
+ * inside it that isn't one becomes why the rule's span failed, so errors point to "Fridya" rather than to
+ * "Fridya at 9am".
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token of the rule's span.
+ * @param {number} end - The index after the last token of the rule's span.
+ * @param {number} baseStart - The index of the first token of the date.
+ * @param {number} baseEnd - The index after the last token of the date.
+ * @returns {DateNode|null}
+ */
+function parseBase(parser, start, end, baseStart, baseEnd) {
+  const base = parseDate(parser, baseStart, baseEnd);
+  if (!base) {
+    const key = `${start}:${end}`;
+    const failure = parser.failures.get(`${baseStart}:${baseEnd}`);
+    parser.failures.set(key, pickFailure(parser.failures.get(key), failure));
+  }
+  return base;
+}
+
+/**
+ * Reports that the date after a duration isn't one, like the "Fridya" in "2 days after Fridya". The duration
+ * shows that the expression was meant to be a date.
+ * @param {Object} parser - The parser state.
+ * @param {number} baseStart - The index of the first token of the date.
+ * @param {number} baseEnd - The index after the last token of the date.
+ */
+function reportFailure(parser, baseStart, baseEnd) {
+  parser.error = pickFailure(parser.error, parser.failures.get(`${baseStart}:${baseEnd}`));
+}
+
+/**
+ * Picks the phrase furthest into the expression that isn't a date, and the shortest one if both start there.
+ * @param {{position: number, text: string}} [failure] - A phrase that isn't a date.
+ * @param {{position: number, text: string}} other - Another one.
+ * @returns {{position: number, text: string}}
+ */
+function pickFailure(failure, other) {
+  const isFurther =
+    !failure ||
+    other.position > failure.position ||
+    (other.position === failure.position && other.text.length < failure.text.length);
+  return isFurther ? other : failure;
+}
+
+/**
+ * Parses a span of tokens with the first rule that matches it.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseComposedDate(parser, start, end) {
+  if (start >= end) return null;
+  for (const rule of DATE_RULES) {
+    const node = rule(parser, start, end);
+    if (node) return node;
+  }
+  return null;
+}
+
+/**
+ * Parses date arithmetic like "today + 3d" or "next monday - 2w 3d".
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseArithmetic(parser, start, end) {
+  // The first operator followed by nothing but a duration literal, so "today + 3d + 2d" adds 3 days first
+  for (let index = start + 1; index < end - 1; index++) {
+    const operator = parser.tokens[index];
+    if (operator.type !== "symbol" || (operator.text !== "+" && operator.text !== "-")) continue;
+    const duration = parser.terminals.parseDurationLiteral(getText(parser, index + 1, end));
+    if (!duration) continue;
+
+    // Bare numbers would be read as times, but "3 + 2h" is math
+    if (/^[\d.\s]+$/.test(getText(parser, start, index))) return null;
+    const base = parseBase(parser, start, end, start, index);
+    if (!base) {
+      reportFailure(parser, start, index);
+      return null;
+    }
+    const sign = operator.text === "+" ? 1 : -1;
+    return createNode(parser, "arithmetic", start, end, { base, sign, ...describe(duration) });
+  }
+  return null;
+}
+
+/**
+ * Parses conversions to a time zone like "now in Tokyo" or "3pm PST in Europe/Berlin".
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseTimeZoneConversion(parser, start, end) {
+  // The last "in" separates the date from the time zone
+  for (let index = end - 2; index > start; index--) {
+    if (!isKeyword(parser, index, "in")) continue;
+    const zone = parser.terminals.resolveTimeZone(getText(parser, index + 1, end));
+    const base = zone && parseBase(parser, start, end, start, index);
+    return base ? createNode(parser, "timeZone", start, end, { base, zone, converts: true }) : null;
+  }
+  return null;
+}
+
+/**
+ * Parses dates in a time zone like "9am PST", "Tomorrow 14:00 Europe/Berlin" or "noon New York".
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseTimeZoneSuffix(parser, start, end) {
+  // The time zone is the last one to three words, like "PST", "Europe/Berlin" or "New York"
+  let words = 0;
+  for (let index = end - 1; index > start && words < 3; index--) {
+    if (!hasSpaceBefore(parser, index)) continue;
+    words++;
+    const zone = parser.terminals.resolveTimeZone(getText(parser, index, end));
+    const base = zone && parseBase(parser, start, end, start, index);
+    if (base) return createNode(parser, "timeZone", start, end, { base, zone, converts: false });
+  }
+  return null;
+}
+
+/**
+ * Parses recurrences like "every Monday at 9am" as phrases, since their time applies to each occurrence
+ * rather than to the next one.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseRecurrence(parser, start, end) {
+  const isRecurrence =
+    isWord(parser.tokens[start], "every", "each") ||
+    (isWord(parser.tokens[start], "next") &&
+      isWord(parser.tokens[start + 1], "occurrence") &&
+      isWord(parser.tokens[start + 2], "of"));
+  const text = getText(parser, start, end);
+  return isRecurrence && end - start > 1 && parser.terminals.isDate(text)
+    ? createNode(parser, "phrase", start, end, { text })
+    : null;
+}
+
+/**
+ * Parses dates with a time like "Today at 8pm", "Tuesday 22:00", "Tomorrow morning" or "Friday at 9".
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseDateTime(parser, start, end) {
+  // The longest time that ends the expression, so "tomorrow end of business" isn't "tomorrow end of" + "business"
+  let timeStart = -1;
+  let dateEnd = -1;
+  for (let index = start + 1; index < end && dateEnd === -1; index++) {
+    if (!hasSpaceBefore(parser, index)) continue;
+    const afterAt = isKeyword(parser, index, "at") ? index + 1 : index;
+    if (afterAt < end && parser.terminals.isTime(getText(parser, afterAt, end))) {
+      [dateEnd, timeStart] = [index, afterAt];
+    }
+  }
+  // Bare hours need an "at", since "May 5" is a date
+  if (
+    dateEnd === -1 &&
+    end - start > 2 &&
+    isKeyword(parser, end - 2, "at") &&
+    /^\d{1,2}$/.test(parser.tokens[end - 1].text)
+  ) {
+    [dateEnd, timeStart] = [end - 2, end - 1];
+  }
+  if (dateEnd === -1) return null;
+
+  // Hours and minutes before or after a date move its time, so "An hour before tomorrow at 9am" is 8am
+  const base = parseBase(parser, start, end, start, dateEnd);
+  if (!base || (base.type === "offset" && base.addsTime)) return null;
+  return createNode(parser, "dateTime", start, end, {
+    base,
+    time: getText(parser, timeStart, end),
+  });
+}
+
+/**
+ * Parses offsets from a date like "Two weeks after Friday", "2 days and 3 hours after tomorrow" or
+ * "2 days before 3 weeks after Friday", which moves 3 weeks from Friday and then 2 days back.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseOffset(parser, start, end) {
+  // Durations can't contain "before" or "after", so the first one separates the duration and the base
+  for (let index = start + 1; index < end - 1; index++) {
+    if (!isKeyword(parser, index, "before", "after")) continue;
+    const duration = parser.terminals.parseDuration(getText(parser, start, index));
+    if (!duration) return null;
+
+    const baseStart =
+      isWord(parser.tokens[index + 1], "the") && index + 2 < end ? index + 2 : index + 1;
+    const base = parseBase(parser, start, end, baseStart, end);
+    if (!base) {
+      reportFailure(parser, baseStart, end);
+      return null;
+    }
+    const sign = isWord(parser.tokens[index], "after") ? 1 : -1;
+    return createNode(parser, "offset", start, end, { base, sign, ...describe(duration) });
+  }
+  return null;
+}
+
+/**
+ * Parses ordinal days of a period like "First Monday of September", "The 3rd business day of next month",
+ * "The last day of February", "Day 100 of this year", "The 15th of next month" or just "The 1st".
+ * The period isn't parsed, since bare units like "the month" and years like "2027" are periods too.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parseOrdinalDay(parser, start, end) {
+  const { tokens } = parser;
+  const ordinalStart = isWord(tokens[start], "the") ? start + 1 : start;
+  const ordinal = tokens[ordinalStart];
+  const isOrdinal =
+    Boolean(ordinal) &&
+    ((ordinal.type === "ordinal" && ordinal.text.length <= 5) ||
+      isWord(ordinal, ...Object.keys(ORDINAL_WORDS)));
+
+  const dayTypeEnd = isOrdinal ? matchDayType(parser, ordinalStart + 1, end) : -1;
+  const period = dayTypeEnd !== -1 && matchPeriod(parser, dayTypeEnd, end);
+  if (period) {
+    const dayType = getText(parser, ordinalStart + 1, dayTypeEnd);
+    return createNode(parser, "ordinalDay", start, end, { ordinal: ordinal.text, dayType, period });
+  }
+
+  const dayNumber = tokens[start + 1];
+  const dayNumberPeriod =
+    isWord(tokens[start], "day") &&
+    dayNumber &&
+    /^\d{1,3}$/.test(dayNumber.text) &&
+    matchPeriod(parser, start + 2, end);
+  if (dayNumberPeriod) {
+    return createNode(parser, "ordinalDay", start, end, {
+      ordinal: dayNumber.text,
+      dayType: "day",
+      period: dayNumberPeriod,
+    });
+  }
+
+  // Days of named months like "15th of March" are absolute dates, which follow the year rollover
+  if (ordinal && ordinal.type === "ordinal" && ordinal.text.length <= 4) {
+    const dayPeriod =
+      ordinalStart + 1 === end ? "this month" : matchPeriod(parser, ordinalStart + 1, end);
+    if (dayPeriod && (ordinalStart + 1 === end || !parser.terminals.isMonthName(dayPeriod))) {
+      return createNode(parser, "ordinalDay", start, end, {
+        ordinal: ordinal.text,
+        dayType: "day",
+        period: dayPeriod,
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Matches the days that ordinal days count, like "day", "business day", "working day" or "Friday".
+ * @param {Object} parser - The parser state.
+ * @param {number} index - The index of the first token of the day type.
+ * @param {number} end - The index after the last token.
+ * @returns {number} - The index after the day type or -1 if there is none.
+ */
+function matchDayType(parser, index, end) {
+  const { tokens } = parser;
+  if (index < end && isWord(tokens[index], ...DAY_TYPES)) return index + 1;
+  const isWorkDay =
+    index + 1 < end &&
+    isWord(tokens[index], "business", "work", "working") &&
+    isWord(tokens[index + 1], "day");
+  return isWorkDay ? index + 2 : -1;
+}
+
+/**
+ * Matches the period of ordinal days after "of", like "of next month" or "of the year".
+ * @param {Object} parser - The parser state.
+ * @param {number} index - The index of the "of".
+ * @param {number} end - The index after the last token.
+ * @returns {string|null} - The period, e.g. "next month" or "year", or null if there is none.
+ */
+function matchPeriod(parser, index, end) {
+  if (index + 1 >= end || !isWord(parser.tokens[index], "of")) return null;
+  const periodStart =
+    isWord(parser.tokens[index + 1], "the") && index + 2 < end ? index + 2 : index + 1;
+  return getText(parser, periodStart, end);
+}
+
+/**
+ * Parses a date on its own, like "Friday", "next month" or "March 5", with the terminals.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {DateNode|null}
+ */
+function parsePhrase(parser, start, end) {
+  const text = getText(parser, start, end);
+  return parser.terminals.isDate(text) ? createNode(parser, "phrase", start, end, { text }) : null;
+}
+
+// The rules of composed dates, in order of precedence
+const DATE_RULES = Object.freeze([
+  parseArithmetic,
+  parseTimeZoneConversion,
+  parseTimeZoneSuffix,
+  parseRecurrence,
+  parseDateTime,
+  parseOffset,
+  parseOrdinalDay,
+]);
+
+/**
+ * Creates a node with the offsets of a span of tokens.
+ * @param {Object} parser - The parser state.
+ * @param {string} type - The node type.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @param {Object} properties - The properties of the node type.
+ * @returns {DateNode}
+ */
+function createNode(parser, type, start, end, properties) {
+  return {
+    type,
+    start: parser.tokens[start].start,
+    end: parser.tokens[end - 1].end,
+    ...properties,
+  };
+}
+
+/**
+ * Describes a duration for arithmetic and offset nodes.
+ * @param {Array<{value: number, unit: string}>} duration - The duration.
+ * @returns {{duration: Array<{value: number, unit: string}>, addsTime: boolean}}
+ */
+function describe(duration) {
+  return { duration, addsTime: duration.some(({ unit }) => TIME_UNITS.includes(unit)) };
+}
+
+/**
+ * Gets the text of a span of tokens as written, including the whitespace between them.
+ * @param {Object} parser - The parser state.
+ * @param {number} start - The index of the first token.
+ * @param {number} end - The index after the last token.
+ * @returns {string}
+ */
+function getText(parser, start, end) {
+  return parser.expr.slice(parser.tokens[start].start, parser.tokens[end - 1].end);
+}
+
+/**
+ * Checks if there is whitespace before a token.
+ * @param {Object} parser - The parser state.
+ * @param {number} index - The index of the token.
+ * @returns {boolean}
+ */
+function hasSpaceBefore(parser, index) {
+  const token = parser.tokens[index];
+  return index > 0 && Boolean(token) && token.start > parser.tokens[index - 1].end;
+}
+
+/**
+ * Checks if a token is a keyword between whitespace, like the "after" in "2 days after Friday".
+ * @param {Object} parser - The parser state.
+ * @param {number} index - The index of the token.
+ * @param {...string} keywords - The lowercase keywords.
+ * @returns {boolean}
+ */
+function isKeyword(parser, index, ...keywords) {
+  return (
+    isWord(parser.tokens[index], ...keywords) &&
+    hasSpaceBefore(parser, index) &&
+    hasSpaceBefore(parser, index + 1)
+  );
+}
+
+/**
+ * Checks if a token is one of some words, in any case.
+ * @param {Token} [token] - The token.
+ * @param {...string} words - The lowercase words.
+ * @returns {boolean}
+ */
+function isWord(token, ...words) {
+  return Boolean(token) && token.type === "word" && words.includes(token.text.toLowerCase());
+}
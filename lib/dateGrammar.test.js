@@ -0,0 +1,181 @@
+// dateGrammar.test.js
+import { jest } from "@jest/globals";
+import { parseDateGrammar, tokenize } from "./dateGrammar.js";
+
+// A few words of each kind, so the grammar can be tested without the evaluator
+const DURATION_UNITS = Object.freeze({ d: "day", day: "day", h: "hour", hour: "hour" });
+const createTerminals = () => ({
+  isDate: jest.fn((phrase) =>
+    ["friday", "tomorrow", "today", "next month", "every monday at 9am"].includes(
+      phrase.toLowerCase()
+    )
+  ),
+  isTime: (phrase) => /^(?:\d{1,2}(?::\d{2})?\s*(?:am|pm)|noon)$/i.test(phrase),
+  parseDuration: (phrase) => {
+    const durationMatch = phrase.match(/^(\d+|an?) (day|hour)s?$/i);
+    if (!durationMatch) return null;
+    const value = /^\d/.test(durationMatch[1]) ? parseInt(durationMatch[1], 10) : 1;
+    return [{ value, unit: durationMatch[2].toLowerCase() }];
+  },
+  parseDurationLiteral: (literal) => {
+    const literalMatch = literal.match(/^(\d+)\s*(d|h)$/i);
+    return (
+      literalMatch && [
+        { value: parseInt(literalMatch[1], 10), unit: DURATION_UNITS[literalMatch[2]] },
+      ]
+    );
+  },
+  resolveTimeZone: (name) => ({ pst: "PST", tokyo: "Asia/Tokyo" })[name.toLowerCase()] ?? null,
+  isMonthName: (phrase) => /^march$/i.test(phrase),
+});
+
+describe("Date Grammar", () => {
+  describe("tokenize", () => {
+    test("should split words, numbers, ordinals and symbols with their offsets", () => {
+      expect(tokenize("the 3rd day of Q3 + 1.5h")).toEqual([
+        { type: "word", text: "the", start: 0, end: 3 },
+        { type: "ordinal", text: "3rd", start: 4, end: 7 },
+        { type: "word", text: "day", start: 8, end: 11 },
+        { type: "word", text: "of", start: 12, end: 14 },
+        { type: "word", text: "Q3", start: 15, end: 17 },
+        { type: "symbol", text: "+", start: 18, end: 19 },
+        { type: "number", text: "1.5", start: 20, end: 23 },
+        { type: "word", text: "h", start: 23, end: 24 },
+      ]);
+    });
+
+    test("should split operators and units without whitespace", () => {
+      expect(tokenize("today+3d").map(({ text }) => text)).toEqual(["today", "+", "3", "d"]);
+    });
+  });
+
+  describe("parseDateGrammar", () => {
+    test("should parse dates with a time and an offset", () => {
+      const { tree, error } = parseDateGrammar("2 days after Friday at 9am", createTerminals());
+      expect(error).toBeNull();
+      expect(tree).toEqual({
+        type: "dateTime",
+        start: 0,
+        end: 26,
+        time: "9am",
+        base: {
+          type: "offset",
+          start: 0,
+          end: 19,
+          sign: 1,
+          duration: [{ value: 2, unit: "day" }],
+          addsTime: false,
+          base: { type: "phrase", start: 13, end: 19, text: "Friday" },
+        },
+      });
+    });
+
+    test("should not give a time to offsets that move the time", () => {
+      const { tree } = parseDateGrammar("An hour before tomorrow at 9am", createTerminals());
+      expect(tree).toMatchObject({
+        type: "offset",
+        sign: -1,
+        addsTime: true,
+        base: { type: "dateTime", time: "9am", base: { type: "phrase", text: "tomorrow" } },
+      });
+    });
+
+    test("should nest offsets from the right", () => {
+      const { tree } = parseDateGrammar("1 day before 2 days after Friday", createTerminals());
+      expect(tree).toMatchObject({
+        type: "offset",
+        duration: [{ value: 1, unit: "day" }],
+        base: { type: "offset", duration: [{ value: 2, unit: "day" }], base: { text: "Friday" } },
+      });
+    });
+
+    test("should add arithmetic before converting to a time zone", () => {
+      const { tree } = parseDateGrammar("today + 3d in Tokyo", createTerminals());
+      expect(tree).toMatchObject({
+        type: "timeZone",
+        zone: "Asia/Tokyo",
+        converts: true,
+        base: { type: "arithmetic", sign: 1, base: { text: "today" } },
+      });
+      expect(parseDateGrammar("tomorrow 9am PST", createTerminals()).tree).toMatchObject({
+        type: "timeZone",
+        zone: "PST",
+        converts: false,
+        base: { type: "dateTime", time: "9am" },
+      });
+    });
+
+    test("should read bare hours after an at", () => {
+      expect(parseDateGrammar("Friday at 9", createTerminals()).tree).toMatchObject({
+        type: "dateTime",
+        time: "9",
+      });
+      expect(parseDateGrammar("Friday 9", createTerminals()).tree).toBeNull();
+    });
+
+    test("should parse ordinal days without checking their period", () => {
+      const terminals = createTerminals();
+      expect(parseDateGrammar("The 3rd business day of the quarter", terminals).tree).toEqual({
+        type: "ordinalDay",
+        start: 0,
+        end: 35,
+        ordinal: "3rd",
+        dayType: "business day",
+        period: "quarter",
+      });
+      expect(parseDateGrammar("Day 100 of 2027", terminals).tree).toMatchObject({
+        ordinal: "100",
+        dayType: "day",
+        period: "2027",
+      });
+      expect(parseDateGrammar("the 1st", terminals).tree).toMatchObject({ period: "this month" });
+      // Days of named months are absolute dates
+      expect(parseDateGrammar("the 15th of March", terminals).tree).toBeNull();
+    });
+
+    test("should keep recurrences whole", () => {
+      expect(parseDateGrammar("every Monday at 9am", createTerminals()).tree).toEqual({
+        type: "phrase",
+        start: 0,
+        end: 19,
+        text: "every Monday at 9am",
+      });
+    });
+
+    test("should not parse dates that aren't made of other dates", () => {
+      expect(parseDateGrammar("Friday", createTerminals())).toEqual({ tree: null, error: null });
+      expect(parseDateGrammar("10 / 3", createTerminals())).toEqual({ tree: null, error: null });
+      expect(parseDateGrammar("3 + 2h", createTerminals()).tree).toBeNull();
+    });
+
+    test("should report the position of the part that isn't a date", () => {
+      expect(parseDateGrammar("2 days after Fridya at 9am", createTerminals())).toEqual({
+        tree: null,
+        error: { position: 13, text: "Fridya" },
+      });
+      expect(parseDateGrammar("Fridya + 3d", createTerminals()).error).toEqual({
+        position: 0,
+        text: "Fridya",
+      });
+    });
+
+    test("should only report phrases after a duration", () => {
+      for (const expr of [
+        "Call Bob at 5pm",
+        "Bob in Tokyo",
+        "lunch before noon",
+        "Fridya 9am PST",
+      ]) {
+        expect(parseDateGrammar(expr, createTerminals())).toEqual({ tree: null, error: null });
+      }
+    });
+
+    test("should check each phrase once", () => {
+      const terminals = createTerminals();
+      const expr = `${"1 day before ".repeat(30)}Friday at 9am`;
+      expect(parseDateGrammar(expr, terminals).tree).toMatchObject({ type: "dateTime" });
+      const phrases = terminals.isDate.mock.calls.map(([phrase]) => phrase);
+      expect(new Set(phrases).size).toBe(phrases.length);
+    });
+  });
+});
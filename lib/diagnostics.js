@@ -0,0 +1,159 @@
+// diagnostics.js
+
+import { resolveLocale, stripAccents } from "./locales.js";
+
+const MONTH_NAMES = Object.freeze([
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+]);
+const WEEKDAY_NAMES = Object.freeze([
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+]);
+// Words that make the rest of an expression look like a date, besides numbers and date names
+const DATE_KEYWORDS = new Set([
+  "next",
+  "last",
+  "this",
+  "every",
+  "ago",
+  "before",
+  "after",
+  "from",
+  "until",
+  "since",
+  "today",
+  "tomorrow",
+  "yesterday",
+  "noon",
+  "midnight",
+  "day",
+  "days",
+  "week",
+  "weeks",
+  "month",
+  "months",
+  "year",
+  "years",
+]);
+
+/**
+ * Looks for a misspelled month or weekday name in an expression that couldn't be evaluated,
+ * like "Febuary 3" or "next Wendesday", and suggests the closest names. Names are only suggested
+ * when the rest of the expression looks like a date, so names like "Call Mary" or "Augusta" aren't
+ * taken for typos of May or August.
+ * @param {string} expr - The expression.
+ * @param {Locale} [locale] - The language the expression is written in, whose names are suggested too.
+ * @returns {string|null} - The reason the expression failed, e.g. 'Unknown month "Febuary", did you
+ * mean February?', or null if no word is close to a name.
+ */
+export function suggestDateName(expr, locale = resolveLocale()) {
+  const names = getDateNames(locale);
+  const words = expr.match(/\p{L}+/gu) || [];
+  for (const [index, word] of words.entries()) {
+    const lowerWord = stripAccents(word.toLowerCase());
+    // Short words like "day" are too close to names like "may" to be typos of them
+    if (lowerWord.length < 4 || isKnownWord(lowerWord, locale)) continue;
+    if (!/\d/.test(expr) && !words.some((other, i) => i !== index && isDateWord(other, locale))) {
+      continue;
+    }
+
+    // Longer names allow more typos, but typos rarely change the first letter
+    const maxDistance = lowerWord.length >= 7 ? 2 : 1;
+    let closest = [];
+    let closestDistance = maxDistance + 1;
+    for (const [name, kind] of names) {
+      if (name[0] !== lowerWord[0]) continue;
+      const distance = getEditDistance(lowerWord, name);
+      if (distance > maxDistance) continue;
+      if (distance < closestDistance) {
+        closest = [];
+        closestDistance = distance;
+      }
+      if (distance === closestDistance) closest.push([name, kind]);
+    }
+    if (closest.length === 0) continue;
+
+    const kinds = new Set(closest.map(([, kind]) => kind));
+    const kind = kinds.size === 1 ? [...kinds][0] : "date name";
+    const suggestions = closest.map(([name]) => name.charAt(0).toUpperCase() + name.slice(1));
+    return `Unknown ${kind} "${word}", did you mean ${suggestions.join(" or ")}?`;
+  }
+  return null;
+}
+
+/**
+ * Lists the full month and weekday names of English and a locale.
+ * @param {Locale} locale - The locale.
+ * @returns {Array<[string, string]>} - [name, 'month'|'weekday'] pairs.
+ */
+function getDateNames(locale) {
+  const names = [
+    ...MONTH_NAMES.map((name) => [name, "month"]),
+    ...WEEKDAY_NAMES.map((name) => [name, "weekday"]),
+  ];
+  for (const [word, translation] of Object.entries(locale.words)) {
+    if (MONTH_NAMES.includes(translation)) names.push([word, "month"]);
+    if (WEEKDAY_NAMES.includes(translation)) names.push([word, "weekday"]);
+  }
+  return names;
+}
+
+/**
+ * Checks if a word is spelled correctly as a month or weekday name, an abbreviation of one
+ * or any other word the locale translates.
+ * @param {string} word - The lower case word without accents.
+ * @param {Locale} locale - The locale.
+ * @returns {boolean}
+ */
+function isKnownWord(word, locale) {
+  return (
+    Object.hasOwn(locale.words, word) ||
+    [...MONTH_NAMES, ...WEEKDAY_NAMES].some((name) => name.startsWith(word.replace(/s$/, "")))
+  );
+}
+
+/**
+ * Checks if a word hints that an expression is a date, like "next", "week" or a weekday name.
+ * @param {string} word - The word.
+ * @param {Locale} locale - The locale.
+ * @returns {boolean}
+ */
+function isDateWord(word, locale) {
+  const lowerWord = stripAccents(word.toLowerCase());
+  return DATE_KEYWORDS.has(lowerWord) || (lowerWord.length >= 3 && isKnownWord(lowerWord, locale));
+}
+
+/**
+ * Counts the insertions, deletions and substitutions that turn one word into another.
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} - The Levenshtein distance.
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
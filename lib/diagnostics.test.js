@@ -0,0 +1,47 @@
+// diagnostics.test.js
+import { suggestDateName } from "./diagnostics.js";
+import { resolveLocale } from "./locales.js";
+
+describe("Diagnostics", () => {
+  describe("suggestDateName", () => {
+    test.each([
+      ["Febuary 3", 'Unknown month "Febuary", did you mean February?'],
+      ["Agust 12th", 'Unknown month "Agust", did you mean August?'],
+      ["next Tusday", 'Unknown weekday "Tusday", did you mean Tuesday?'],
+      ["Satruday at 9am", 'Unknown weekday "Satruday", did you mean Saturday?'],
+      ["Jule 4", 'Unknown month "Jule", did you mean June or July?'],
+    ])("should suggest names for %s", (expr, reason) => {
+      expect(suggestDateName(expr)).toBe(reason);
+    });
+
+    test.each([
+      "March 5",
+      "Sept 5",
+      "Thurs",
+      "every Mondays",
+      "days until May",
+      "today",
+      "toc",
+      "Fridge",
+      "Monkey",
+      "Sunny day",
+      "Julie",
+      "Augustine",
+      "Call Mary",
+      "Augusta",
+      "Sundae",
+      "Lunch with Juney",
+      "constructor",
+    ])("should not suggest names for %s", (expr) => {
+      expect(suggestDateName(expr)).toBeNull();
+    });
+
+    test("should suggest names in the language of the expression", () => {
+      const spanish = resolveLocale("es");
+      expect(suggestDateName("3 de febreo", spanish)).toBe(
+        'Unknown month "febreo", did you mean Febrero?'
+      );
+      expect(suggestDateName("próximo lunes", spanish)).toBeNull();
+    });
+  });
+});
@@ -9,6 +9,8 @@ import {
   subMonths,
   addYears,
   subYears,
+  addQuarters,
+  subQuarters,
   addHours,
   addMinutes,
   addSeconds,
@@ -17,18 +19,166 @@ import {
   subSeconds,
   startOfMonth,
   endOfMonth,
+  startOfQuarter,
+  differenceInCalendarDays,
+  differenceInMonths,
+  differenceInQuarters,
+  differenceInYears,
+  differenceInHours,
+  differenceInMinutes,
+  differenceInSeconds,
+  startOfWeek,
   endOfWeek,
+  startOfISOWeek,
+  startOfISOWeekYear,
+  getISOWeek,
+  getISOWeekYear,
+  getISOWeeksInYear,
   format,
+  getDaysInMonth,
+  isLastDayOfMonth,
+  isSameDay,
+  parseISO,
   set,
 } from "date-fns";
-import esprima from "esprima";
+import { formatNamedDate, isNamedDateFormat } from "./dateFormat.js";
+import { describeNumberFormat, formatNumber, isNumberFormat } from "./numberFormat.js";
+import {
+  applyQuantityOperator,
+  convert,
+  formatQuantity,
+  isQuantity,
+  negate,
+  preparseQuantities,
+  QuantityError,
+} from "./quantities.js";
+import { findHoliday, normalizeHolidayName, DEFAULT_HOLIDAY_REGIONS } from "./holidays.js";
+import { fromZonedTime, resolveTimeZone, toZonedTime } from "./timezones.js";
+import { resolveLocale, translateExpression } from "./locales.js";
+import { suggestDateName } from "./diagnostics.js";
+import { ORDINAL_WORDS, parseDateGrammar } from "./dateGrammar.js";
+import { MathSyntaxError, parseMath } from "./mathParser.js";
+
+/**
+ * Options accepted by the evaluator.
+ * @typedef {Object} EvaluatorOptions
+ * @property {Date} [now] - The reference date that all expressions are evaluated "as of". Defaults to the current date.
+ * @property {number|string} [weekStartsOn] - The first day of the week, 0 (Sunday) to 6 (Saturday) or a weekday name. Defaults to Sunday.
+ * @property {number|string} [fiscalYearStartMonth] - The first month of the fiscal year, 0 (January) to 11 (December) or a month name. Defaults to January.
+ * @property {Array<Date|string>} [holidays] - Dates skipped by business day expressions in addition to weekends.
+ * @property {string[]|string} [holidayRegions] - Region codes of the named holidays, e.g. ["US"] or "UK, CA". Defaults to the US.
+ * @property {string} [yearRollover] - Where dates without a year like "Jan 5" fall: "none" for the current year, "upcoming" for the next occurrence or "recent" for the last one. Defaults to "none".
+ * @property {string} [dateOrder] - The order of numeric dates like 3/5/2027, "MDY" (US) or "DMY" (European). Defaults to "MDY".
+ * @property {Object<string, string>} [customObservances] - Extra named dates, mapping a name to a date expression for any year, e.g. { "Founders Day": "March 3" }.
+ * @property {Object<string, string>} [timesOfDay] - Clock times of named times of day like "morning" or "end of day", e.g. { morning: "8:00" }. Added to and overriding DEFAULT_TIMES_OF_DAY.
+ * @property {string} [bareHours] - How times without am/pm like "at 3" are read: "24h" for 03:00 or "daytime" for 15:00, reading 1 to 6 as afternoon hours. Defaults to "24h".
+ * @property {string} [locale] - The language expressions are written in and dates are formatted in, e.g. "es" or "German". English expressions still work. Defaults to English.
+ */
+
+/**
+ * A family of expressions the evaluator understands, like absolute dates or math.
+ * @typedef {Object} ExpressionHandler
+ * @property {function(string, EvaluatorOptions): *} match - Checks if an expression belongs to the family,
+ * returning anything truthy, like a regex match, to evaluate it with.
+ * @property {function(*, string, EvaluatorOptions): (Object|null)} evaluate - Evaluates the match of an
+ * expression to { type, result } like evaluateExpression, or returns null to let the next handler try.
+ * Dates have the type 'date', 'dateTime' or 'time' and numbers 'math'. An unhandled evaluation with a
+ * reason stops the other handlers.
+ * @property {number} [priority] - Handlers with a higher priority are tried first, in the order they were
+ * registered if equal. Defaults to 0, after the built-in date handlers and before date differences and math.
+ * Dates made of other dates, like "X at 9am", "X in Tokyo" or "X + 2d", are split by the date grammar at
+ * priority 100, so only handlers above it see them whole. The others evaluate the dates inside them.
+ */
+
+// Expression handlers in the order they are tried, see registerExpressionHandler
+const expressionHandlers = [];
+
+// Where the date grammar is tried among the handlers, before the built-in date handlers
+const DATE_GRAMMAR_PRIORITY = 100;
+
+// Evaluation types of dates, as opposed to numbers like "math" or "weekNumber"
+const DATE_TYPES = Object.freeze(["date", "dateTime", "time"]);
+
+// Numeric dates, which would otherwise be valid math expressions
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/;
+
+// Clock times of the named times of day, which can be changed with the timesOfDay option
+const DEFAULT_TIMES_OF_DAY = Object.freeze({
+  midnight: "00:00",
+  morning: "09:00",
+  "start of business": "09:00",
+  noon: "12:00",
+  midday: "12:00",
+  afternoon: "14:00",
+  "end of day": "17:00",
+  "end of business": "17:00",
+  evening: "18:00",
+  tonight: "20:00",
+  night: "20:00",
+});
+
+// Clock times that can follow a date, like "14:30", "10:45pm" or "8 am"
+const CLOCK_TIME_PATTERN = /^(?:\d{1,2}:\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm))$/i;
+
+// How many days ahead to look for the next occurrence of a recurrence, enough for February 29
+const MAX_RECURRENCE_DAYS = 366 * 8;
+
+// Units of duration literals like "3d", "2w", "90 minutes" or "1 business day"
+const DURATION_UNIT_PATTERN =
+  "(?:business|work(?:ing)?)\\s*days?|seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?|quarters?|years?|yrs?|bd|mo|s|m|h|d|w|q|y";
+const DURATION_LITERAL_PATTERN = new RegExp(
+  `^(?:\\d+\\s*(?:${DURATION_UNIT_PATTERN})(?![a-z])\\s*)+$`,
+  "i"
+);
+const DURATION_ABBREVIATIONS = Object.freeze({
+  s: "second",
+  sec: "second",
+  m: "minute",
+  min: "minute",
+  h: "hour",
+  hr: "hour",
+  d: "day",
+  bd: "business day",
+  w: "week",
+  wk: "week",
+  mo: "month",
+  q: "quarter",
+  y: "year",
+  yr: "year",
+});
+
+// Duration units from the largest to the smallest, the order in which combined durations are added
+const DURATION_UNIT_ORDER = Object.freeze([
+  "year",
+  "quarter",
+  "month",
+  "week",
+  "business day",
+  "day",
+  "hour",
+  "minute",
+  "second",
+]);
+
+// How fractions of a unit like "a week and a half" carry over into a smaller unit
+const DURATION_FRACTIONS = Object.freeze({
+  year: [12, "month"],
+  quarter: [3, "month"],
+  month: [30, "day"],
+  week: [7, "day"],
+  day: [24, "hour"],
+  hour: [60, "minute"],
+  minute: [60, "second"],
+});
 
 /**
  * Main function to evaluate expressions.
  * @param {string} expressionString - The expression string, including curly braces.
- * @returns {Object} - { type: 'date'|'math'|'formattedDate'|'unhandled', result: ... }
+ * @param {EvaluatorOptions} [options] - Evaluation options, e.g. { now } to render as of another date.
+ * @returns {Object} - { type: 'date'|'dateTime'|'time'|'weekNumber'|'math'|'quantity'|'formattedDate'|'formattedNumber'|'unhandled', result: ..., reason?: string }
  */
-export function evaluateExpression(expressionString) {
+export function evaluateExpression(expressionString, options = {}) {
   // Trim and check for enclosing braces
   const trimmed = expressionString.trim();
   if (!trimmed.startsWith("{") || !trimmed.endsWith("}")) {
@@ -48,94 +198,745 @@ export function evaluateExpression(expressionString) {
     expression = formatMatch[2].trim();
   }
 
-  // Try parsing as date
-  const dateResult = parseDateExpression(expression);
-  if (dateResult.success) {
-    let finalDate = dateResult.date;
-    if (formatSpecifier) {
-      try {
-        finalDate = format(finalDate, formatSpecifier);
-      } catch (error) {
-        // Invalid format specifier
-        return { type: "unhandled", result: null };
+  let context = resolveOptions(options);
+
+  // A trailing "!" forces the expression to be evaluated against the real current date,
+  // even when a different reference date was given (e.g. {today!} inside a past daily note)
+  if (expression.endsWith("!")) {
+    expression = expression.slice(0, -1).trim();
+    context = { ...context, now: new Date() };
+  }
+
+  // Expressions in another language are translated to English first, but names like custom
+  // observances can still be written as they are
+  const translated = translateExpression(expression, context.locale);
+  const evaluation = evaluateInnerExpression(translated, formatSpecifier, context);
+  if (evaluation.type !== "unhandled" || translated === expression) return evaluation;
+  const untranslated = evaluateInnerExpression(expression, formatSpecifier, context);
+  return untranslated.type === "unhandled" && !untranslated.reason ? evaluation : untranslated;
+}
+
+/**
+ * Evaluates an expression without its braces, format specifier and "!" suffix.
+ * @param {string} expression - The expression, e.g. "tomorrow at 9am" or "10 / 3".
+ * @param {string|null} formatSpecifier - The format specifier, e.g. "yyyy-MM-dd" or "0.00".
+ * @param {EvaluatorOptions} context - The resolved evaluator options.
+ * @returns {Object} - The evaluation, like the result of evaluateExpression.
+ */
+function evaluateInnerExpression(expression, formatSpecifier, context) {
+  // Number formats like "0.00" only apply to numbers, so {"0.00":3} is 3 rather than 3 o'clock
+  const hasNumberFormat = formatSpecifier !== null && isNumberFormat(formatSpecifier);
+  const evaluation = evaluateWithHandlers(
+    expression,
+    context,
+    ({ type }) => !hasNumberFormat || !DATE_TYPES.includes(type)
+  );
+
+  if (evaluation && evaluation.type !== "unhandled") {
+    return formatSpecifier
+      ? applyFormatSpecifier(evaluation, formatSpecifier, context)
+      : { type: evaluation.type, result: evaluation.result };
+  }
+  if (evaluation && evaluation.reason) return evaluation;
+  if (hasNumberFormat && parseDateExpression(expression, context).success) {
+    return {
+      type: "unhandled",
+      result: null,
+      reason: `Number format "${formatSpecifier}" can't be applied to a date`,
+    };
+  }
+
+  // If unhandled, add the reason if it looks like a mistake rather than other text in braces
+  const reason = diagnoseExpression(expression, context);
+  return reason ? { type: "unhandled", result: null, reason } : { type: "unhandled", result: null };
+}
+
+/**
+ * Applies a format specifier to an evaluation.
+ * @param {Object} evaluation - The evaluation of an expression handler.
+ * @param {string} formatSpecifier - The format specifier, e.g. "yyyy-MM-dd", "relative" or "0.00".
+ * @param {EvaluatorOptions} context - The resolved evaluator options.
+ * @returns {Object} - { type: 'formattedDate'|'formattedNumber', result: string } or unhandled with the
+ * reason if the format is invalid.
+ */
+function applyFormatSpecifier(evaluation, formatSpecifier, context) {
+  const { type, result } = evaluation;
+  if (type === "quantity") return formatQuantityResult(result, formatSpecifier);
+  if (type === "math" || (type === "weekNumber" && isNumberFormat(formatSpecifier))) {
+    return formatNumberResult(result, formatSpecifier);
+  }
+  if (!DATE_TYPES.includes(type) && type !== "weekNumber") return { type, result };
+
+  // Date formats apply to the start of the week of week numbers
+  let finalDate = type === "weekNumber" ? evaluation.date : result;
+  if (isNamedDateFormat(formatSpecifier)) {
+    // Named formats like "relative" or "iso" measure from now rather than a wall clock
+    const includesTime = type === "dateTime" || type === "time";
+    return {
+      type: "formattedDate",
+      result: formatNamedDate(
+        finalDate,
+        formatSpecifier,
+        context.now,
+        includesTime,
+        context.locale
+      ),
+    };
+  }
+
+  // A time zone after an "@" shows the date in that zone, e.g. "HH:mm@Asia/Tokyo"
+  let datePattern = formatSpecifier;
+  const zoneMatch = formatSpecifier.match(/^(.+)@([^@']+)$/);
+  const zone = zoneMatch && resolveTimeZone(zoneMatch[2]);
+  if (zone) {
+    datePattern = zoneMatch[1];
+    finalDate = toZonedTime(finalDate, zone);
+  }
+  try {
+    finalDate = format(finalDate, datePattern, { locale: context.locale.dateFnsLocale });
+  } catch (error) {
+    return { type: "unhandled", result: null, reason: `Invalid date format "${datePattern}"` };
+  }
+  return { type: "formattedDate", result: finalDate };
+}
+
+/**
+ * Applies a number format specifier to a math result.
+ * @param {number} value - The math result.
+ * @param {string} formatSpecifier - The number format, e.g. "0.00", "%", "words" or "ordinal".
+ * @returns {Object} - { type: 'formattedNumber', result: string } or unhandled with the reason if the format is invalid.
+ */
+function formatNumberResult(value, formatSpecifier) {
+  const formatted = formatNumber(value, formatSpecifier);
+  return formatted === null
+    ? { type: "unhandled", result: null, reason: `Can't format ${value} as "${formatSpecifier}"` }
+    : { type: "formattedNumber", result: formatted };
+}
+
+/**
+ * Applies a number format specifier to the number of a quantity, keeping its unit unless the format shows it.
+ * @param {Quantity} quantity - The quantity, e.g. 5 km.
+ * @param {string} formatSpecifier - The number format, e.g. "0.00".
+ * @returns {Object} - { type: 'formattedNumber', result: string } or unhandled with the reason if the format is invalid.
+ */
+function formatQuantityResult(quantity, formatSpecifier) {
+  const formatted = isNumberFormat(formatSpecifier)
+    ? formatQuantity(
+        quantity,
+        (value) => formatNumber(value, formatSpecifier),
+        describeNumberFormat(formatSpecifier)
+      )
+    : null;
+  return formatted === null
+    ? {
+        type: "unhandled",
+        result: null,
+        reason: `Can't format ${formatQuantity(quantity)} as "${formatSpecifier}"`,
       }
-      return { type: "formattedDate", result: finalDate };
+    : { type: "formattedNumber", result: formatted };
+}
+
+/**
+ * Registers a handler for a family of expressions, which is tried by priority with the built-in handlers,
+ * including for the dates inside other expressions like "2 days after [expression]".
+ * Registering a handler with the name of an existing one replaces it.
+ * @param {string} name - The name of the handler, e.g. "sprint".
+ * @param {ExpressionHandler} handler - The handler.
+ */
+export function registerExpressionHandler(name, { match, evaluate, priority = 0 }) {
+  if (typeof match !== "function" || typeof evaluate !== "function") {
+    throw new TypeError(`Expression handler "${name}" needs match and evaluate functions`);
+  }
+  unregisterExpressionHandler(name);
+  const index = expressionHandlers.findIndex((handler) => handler.priority < priority);
+  const handler = { name, match, evaluate, priority };
+  expressionHandlers.splice(index === -1 ? expressionHandlers.length : index, 0, handler);
+}
+
+/**
+ * Removes a registered expression handler.
+ * @param {string} name - The name of the handler.
+ * @returns {boolean} - True if a handler was removed.
+ */
+export function unregisterExpressionHandler(name) {
+  const index = expressionHandlers.findIndex((handler) => handler.name === name);
+  if (index !== -1) expressionHandlers.splice(index, 1);
+  return index !== -1;
+}
+
+/**
+ * Lists the registered expression handlers in the order they are tried.
+ * @returns {Array<{name: string, priority: number}>}
+ */
+export function getExpressionHandlers() {
+  return expressionHandlers.map(({ name, priority }) => ({ name, priority }));
+}
+
+/**
+ * Evaluates an expression with the first handler that matches it and accepts its evaluation, trying the date
+ * grammar at its priority for expressions made of other dates, like "2 days after Friday at 9am".
+ * @param {string} expr - The expression.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @param {function(Object): boolean} accepts - Checks the type of an evaluation, so dates can be skipped for
+ * number formats and numbers inside date expressions.
+ * @returns {Object|null} - The evaluation, an unhandled evaluation with a reason or null if no handler matched.
+ */
+function evaluateWithHandlers(expr, options, accepts) {
+  const isBeforeGrammar = ({ priority }) => priority > DATE_GRAMMAR_PRIORITY;
+  const handled = evaluatePhrase(expr, options, accepts, isBeforeGrammar);
+  if (handled) return handled;
+
+  const { tree, phrases } = parseDateTree(expr, options);
+  if (tree && tree.type !== "phrase") {
+    const evaluation = evaluateDateTree(tree, phrases, options);
+    if (evaluation && accepts(evaluation)) return evaluation;
+  }
+  return evaluatePhrase(expr, options, accepts, (handler) => !isBeforeGrammar(handler));
+}
+
+/**
+ * Evaluates a phrase with the first handler that matches it and accepts its evaluation.
+ * @param {string} expr - The phrase, e.g. "Friday", "next month" or "10 / 3".
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @param {function(Object): boolean} accepts - Checks the type of an evaluation.
+ * @param {function(Object): boolean} [includes] - Picks the handlers to try. Defaults to all of them.
+ * @returns {Object|null} - The evaluation, an unhandled evaluation with a reason or null if no handler matched.
+ */
+function evaluatePhrase(expr, options, accepts, includes = () => true) {
+  // Copied, since handlers can register others while evaluating
+  for (const handler of expressionHandlers.filter(includes)) {
+    const match = handler.match(expr, options);
+    const evaluation = match ? handler.evaluate(match, expr, options) : null;
+    if (evaluation && evaluation.type === "unhandled" && evaluation.reason) return evaluation;
+    if (evaluation && evaluation.type !== "unhandled" && accepts(evaluation)) return evaluation;
+  }
+  return null;
+}
+
+// Built-in handlers, spaced apart so custom handlers can be registered between them. Dates made of other
+// dates, like "today + 3d", "9am PST", "tomorrow at 9am" or "2 weeks after Friday", are parsed with the
+// date grammar at DATE_GRAMMAR_PRIORITY, and the dates inside them are evaluated with all handlers
+
+// Recurrences like "every other Tuesday", evaluated to their next occurrence
+registerExpressionHandler("recurrence", {
+  priority: 90,
+  match: parseRecurrenceRule,
+  evaluate: (rule, expr, options) => {
+    const occurrence = getNextOccurrence(rule, options.now, options);
+    return occurrence && { type: rule.time ? "dateTime" : "date", result: occurrence };
+  },
+});
+
+// ISO Week Expressions like "week 42" or "this week number"
+registerExpressionHandler("weekNumber", {
+  priority: 60,
+  match: (expr, options) => parseWeekNumberExpression(expr, options.now, options),
+  evaluate: ({ type, date, weekNumber }) =>
+    type === "weekNumber" ? { type, result: weekNumber, date } : { type, result: date },
+});
+
+// Named times of day like "noon" or "end of day", which would otherwise be read as dates
+registerExpressionHandler("timeOfDay", {
+  priority: 50,
+  match: (expr, options) => options.timesOfDay[expr.toLowerCase().replace(/\s+/g, " ")],
+  evaluate: (time, expr, options) => ({
+    type: "time",
+    result: parseTimeExpression(expr, options.now, options),
+  }),
+});
+
+// Relative Days like "today", "tomorrow" and "yesterday"
+registerExpressionHandler("relativeDay", {
+  priority: 40,
+  match: (expr) => expr.match(/^(today|tomorrow|yesterday)$/i),
+  evaluate: ([, day], expr, options) => {
+    const offset = { today: 0, tomorrow: 1, yesterday: -1 }[day.toLowerCase()];
+    return { type: "date", result: clearTime(addDays(options.now, offset)) };
+  },
+});
+
+// Absolute Dates like "March 5" or "2027-03-05"
+registerExpressionHandler("absoluteDate", {
+  priority: 30,
+  match: (expr, options) => parseAbsoluteDate(expr, options.now, options),
+  evaluate: (date) => ({ type: "date", result: date }),
+});
+
+// Past and Future Dates like "next Monday" or "in 3 hours"
+registerExpressionHandler("relativeDate", {
+  priority: 20,
+  match: (expr, options) => parseRelativeDate(expr, options.now, options),
+  evaluate: (date) => ({ type: hasTime(date) ? "dateTime" : "date", result: date }),
+});
+
+// Time Expressions like "9am" or "14:30"
+registerExpressionHandler("time", {
+  priority: 10,
+  match: (expr, options) => parseTimeExpression(expr, options.now, options),
+  evaluate: (date) => ({ type: "time", result: date }),
+});
+
+// Date Differences like "days until December 25"
+registerExpressionHandler("dateDifference", {
+  priority: -10,
+  match: (expr, options) => parseDateDifference(expr, options) ?? false,
+  evaluate: (difference) => ({ type: "math", result: difference }),
+});
+
+// Numeric dates that don't exist, like 2027-02-30, or that a number format skipped, shouldn't be math
+registerExpressionHandler("numericDate", {
+  priority: -20,
+  match: (expr) => ISO_DATE_PATTERN.test(expr) || NUMERIC_DATE_PATTERN.test(expr),
+  evaluate: (match, expr, options) =>
+    parseAbsoluteDate(expr, options.now, options)
+      ? { type: "unhandled", result: null }
+      : { type: "unhandled", result: null, reason: `${expr} isn't a valid date` },
+});
+
+// Math like "10 / 3", "sqrt(16)" or "5 km in miles"
+registerExpressionHandler("math", {
+  priority: -30,
+  match: parseMathExpression,
+  evaluate: ({ success, value, reason }) => {
+    if (success) return { type: isQuantity(value) ? "quantity" : "math", result: value };
+    return reason ? { type: "unhandled", result: null, reason } : null;
+  },
+});
+
+/**
+ * Explains why an expression no parser handles can't be evaluated, if it looks like a date with a
+ * mistake rather than other text in braces: an ordinal day past the end of its period, a day past
+ * the end of its month, a misspelled month or weekday name or a date moved by a duration that isn't a date.
+ * @param {string} expr - The expression.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {string|null} - The reason, e.g. "There are only 4 Wednesdays in April 2024", or null.
+ */
+function diagnoseExpression(expr, options) {
+  // Ordinal days past the end of their period, like "the fifth Wednesday of April"
+  const { tree, error } = parseDateTree(expr, options);
+  const period = tree && tree.type === "ordinalDay" && getOrdinalPeriod(tree.period, options);
+  if (period) {
+    const dayType = normalizeUnit(tree.dayType);
+    const count = countOrdinalDays(period, dayType, options);
+    if (Math.abs(parseOrdinal(tree.ordinal)) > count) {
+      const name =
+        getWeekdayIndex(dayType) === -1 ? dayType : dayType[0].toUpperCase() + dayType.slice(1);
+      const days = count === 1 ? name : `${name}s`;
+      return `There ${count === 1 ? "is" : "are"} only ${count} ${days} ${describePeriod(period)}`;
     }
-    return { type: dateResult.type, result: finalDate };
   }
 
-  // Try parsing as math
-  const mathResult = parseMathExpression(expression);
-  if (mathResult.success) {
-    return { type: "math", result: mathResult.value };
+  // Dates without a year roll over into the next month, but dates with one must exist
+  const dayOfMonthMatch =
+    expr.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i) ||
+    expr.match(/^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]+),?\s+(\d{4})$/i);
+  if (dayOfMonthMatch) {
+    const [, first, second, year] = dayOfMonthMatch;
+    const [monthName, day] = /^\d/.test(first) ? [second, first] : [first, second];
+    const monthIndex = getMonthIndex(monthName);
+    const month = monthIndex !== -1 && new Date(parseInt(year, 10), monthIndex);
+    if (month && parseInt(day, 10) > getDaysInMonth(month)) {
+      return `${format(month, "MMMM yyyy")} has only ${getDaysInMonth(month)} days`;
+    }
   }
 
-  // If neither, unhandled
-  return { type: "unhandled", result: null };
+  // Dates moved by a duration point to the part that isn't a date, like "Fridya" in "2 days after Fridya"
+  const suggestion = suggestDateName(expr, options.locale);
+  if (suggestion || !error) return suggestion;
+  return `Unknown date "${error.text}" at character ${error.position + 1}`;
 }
 
 /**
- * Parses date expressions based on the specifications.
- * @param {string} expr - The date expression.
- * @returns {Object} - { success: boolean, date: Date }
+ * Describes a period for diagnostics, like "in April 2024", "in 2024" or "from Apr 28 to May 4, 2024".
+ * @param {{start: Date, end: Date}} period - The first and last day of the period.
+ * @returns {string}
+ */
+function describePeriod({ start, end }) {
+  if (start.getDate() === 1 && isSameDay(end, endOfMonth(start))) {
+    return `in ${format(start, "MMMM yyyy")}`;
+  }
+  if (
+    start.getMonth() === 0 &&
+    start.getDate() === 1 &&
+    isSameDay(end, new Date(start.getFullYear(), 11, 31))
+  ) {
+    return `in ${start.getFullYear()}`;
+  }
+  return `from ${format(start, "MMM d")} to ${format(end, "MMM d, yyyy")}`;
+}
+
+/**
+ * Fills in defaults for the evaluator options so every parser can rely on them.
+ * @param {EvaluatorOptions} options - The options passed to evaluateExpression.
+ * @returns {EvaluatorOptions} - A copy of the options with defaults applied.
+ */
+function resolveOptions(options) {
+  const now = options && options.now ? new Date(options.now) : new Date();
+  return {
+    ...options,
+    now,
+    weekStartsOn: resolveWeekStart(options && options.weekStartsOn),
+    fiscalYearStartMonth: resolveFiscalYearStart(options && options.fiscalYearStartMonth),
+    holidays: resolveHolidays(options && options.holidays),
+    holidayRegions: resolveHolidayRegions(options && options.holidayRegions),
+    customObservances: resolveCustomObservances(options && options.customObservances),
+    dateOrder: options && String(options.dateOrder).toUpperCase() === "DMY" ? "DMY" : "MDY",
+    yearRollover: resolveYearRollover(options && options.yearRollover),
+    timesOfDay: resolveTimesOfDay(options && options.timesOfDay),
+    bareHours: options && String(options.bareHours).toLowerCase() === "daytime" ? "daytime" : "24h",
+    locale: resolveLocale(options && options.locale),
+  };
+}
+
+/**
+ * Normalizes the week start option to a weekday index.
+ * @param {number|string} weekStartsOn - A weekday index or name.
+ * @returns {number} - 0 (Sunday) to 6 (Saturday), defaulting to Sunday if invalid.
+ */
+function resolveWeekStart(weekStartsOn) {
+  if (typeof weekStartsOn === "number" && weekStartsOn >= 0 && weekStartsOn <= 6) {
+    return Math.floor(weekStartsOn);
+  }
+  if (typeof weekStartsOn === "string") {
+    const index = getWeekdayIndex(weekStartsOn.trim());
+    if (index !== -1) return index;
+  }
+  return 0;
+}
+
+/**
+ * Normalizes the fiscal year start option to a month index.
+ * @param {number|string} fiscalYearStartMonth - A month index or name.
+ * @returns {number} - 0 (January) to 11 (December), defaulting to January if invalid.
+ */
+function resolveFiscalYearStart(fiscalYearStartMonth) {
+  if (
+    typeof fiscalYearStartMonth === "number" &&
+    fiscalYearStartMonth >= 0 &&
+    fiscalYearStartMonth <= 11
+  ) {
+    return Math.floor(fiscalYearStartMonth);
+  }
+  if (typeof fiscalYearStartMonth === "string") {
+    const index = getMonthIndex(fiscalYearStartMonth.trim());
+    if (index !== -1) return index;
+  }
+  return 0;
+}
+
+/**
+ * Normalizes the holidays option to a set of day keys for fast lookups.
+ * @param {Array<Date|string>} holidays - Holiday dates or ISO date strings like "2024-12-25".
+ * @returns {Set<string>} - The "yyyy-MM-dd" keys of the valid holidays.
+ */
+function resolveHolidays(holidays) {
+  const keys = new Set();
+  for (const holiday of Array.isArray(holidays) ? holidays : []) {
+    const date = holiday instanceof Date ? holiday : parseISO(String(holiday));
+    if (!isNaN(date)) keys.add(format(date, "yyyy-MM-dd"));
+  }
+  return keys;
+}
+
+/**
+ * Merges the configured times of day with the defaults, keyed by lowercase name.
+ * @param {Object<string, string>} [timesOfDay] - Clock times by name, e.g. { Morning: "8:00" }.
+ * @returns {Object<string, {hours: number, minutes: number}>} - The times of day, skipping invalid clock times.
+ */
+function resolveTimesOfDay(timesOfDay) {
+  // Without a prototype, so names like "constructor" aren't times of day
+  const resolved = Object.create(null);
+  for (const [name, time] of Object.entries({ ...DEFAULT_TIMES_OF_DAY, ...timesOfDay })) {
+    const clockTime = parseClockTime(String(time).trim().toLowerCase(), "24h");
+    if (clockTime) resolved[name.trim().toLowerCase().replace(/\s+/g, " ")] = clockTime;
+  }
+  return resolved;
+}
+
+/**
+ * Normalizes the year rollover option.
+ * @param {string} yearRollover - "none", "upcoming" or "recent", in any case.
+ * @returns {string} - 'none', 'upcoming' or 'recent', defaulting to 'none' if invalid.
+ */
+function resolveYearRollover(yearRollover) {
+  const normalized = String(yearRollover || "")
+    .trim()
+    .toLowerCase();
+  return normalized === "upcoming" || normalized === "recent" ? normalized : "none";
+}
+
+/**
+ * Normalizes the holiday regions option to a list of region codes.
+ * @param {string[]|string} holidayRegions - Region codes, as a list or separated by commas or semicolons.
+ * @returns {string[]} - The upper case region codes, defaulting to the US.
  */
-function parseDateExpression(expr) {
-  const lowerExpr = expr.toLowerCase();
+function resolveHolidayRegions(holidayRegions) {
+  const regions = (
+    Array.isArray(holidayRegions) ? holidayRegions : String(holidayRegions || "").split(/[,;]/)
+  )
+    .map((region) => region.trim().toUpperCase())
+    .filter((region) => region !== "");
+  return regions.length > 0 ? regions : DEFAULT_HOLIDAY_REGIONS;
+}
 
-  const now = new Date();
+/**
+ * Normalizes the custom observances option so observances can be looked up like holidays.
+ * @param {Object<string, string>} customObservances - Observance names mapped to date expressions.
+ * @returns {Object<string, string>} - The date expressions keyed by normalized name.
+ */
+function resolveCustomObservances(customObservances) {
+  // Without a prototype, so names like "constructor" aren't observances
+  const observances = Object.create(null);
+  for (const [name, expression] of Object.entries(customObservances || {})) {
+    observances[normalizeHolidayName(name)] = expression;
+  }
+  return observances;
+}
 
-  // Date and Time Expressions
-  const dateTime = parseDateTimeExpression(expr, now);
-  if (dateTime) {
-    return { success: true, type: "dateTime", date: dateTime };
+/**
+ * Finds a custom observance or holiday by name in a year. Custom observances take precedence.
+ * @param {string} name - The name of the observance or holiday.
+ * @param {number} year - The year to find it in.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Date|null} - The start of the observance or null if nothing has that name.
+ */
+function findObservance(name, year, options) {
+  const expression = options.customObservances[normalizeHolidayName(name)];
+  if (expression) {
+    // Evaluate as of the start of the year, without observances so they can't refer to themselves
+    const result = parseDateExpression(expression, {
+      ...options,
+      now: new Date(year, 0, 1),
+      customObservances: Object.create(null),
+      yearRollover: "none",
+    });
+    return isDateResult(result) ? clearTime(result.date) : null;
   }
+  return findHoliday(name, year, options.holidayRegions);
+}
 
-  // Compound Date Expressions
-  const compoundDate = parseCompoundExpression(expr, now);
-  if (compoundDate) {
-    return { success: true, type: "date", date: compoundDate };
+/**
+ * Parses date expressions with the expression handlers, skipping those that evaluate to numbers.
+ * @param {string} expr - The date expression.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Object} - { success: boolean, type: 'date'|'dateTime'|'time'|'weekNumber', date: Date, weekNumber?: number }
+ */
+function parseDateExpression(expr, options) {
+  const evaluation = evaluateWithHandlers(
+    expr,
+    options,
+    ({ type }) => DATE_TYPES.includes(type) || type === "weekNumber"
+  );
+  if (!evaluation || evaluation.type === "unhandled") return { success: false };
+  if (evaluation.type === "weekNumber") {
+    return {
+      success: true,
+      type: "weekNumber",
+      date: evaluation.date,
+      weekNumber: evaluation.result,
+    };
   }
+  return { success: true, type: evaluation.type, date: evaluation.result };
+}
 
-  // Relative Dates
-  if (lowerExpr === "today") {
-    return { success: true, type: "date", date: clearTime(now) };
+/**
+ * Checks that a parsed date expression can be used as a date, e.g. as the base of a compound expression.
+ * Week number results carry the date of their week but evaluate to a number.
+ * @param {Object} result - The result of parseDateExpression.
+ * @returns {boolean}
+ */
+function isDateResult(result) {
+  return result.success && result.type !== "weekNumber";
+}
+
+/**
+ * Parses ISO 8601 week expressions like "Week 42", "Monday of week 12", "Week 3 of 2027",
+ * "2027-W03", "Next ISO week" and week number lookups like "This week number" or "Week number of next week".
+ * Weeks start on Monday and week 1 is the week with the year's first Thursday, as defined by ISO 8601.
+ * @param {string} expr - The week expression.
+ * @param {Date} referenceDate - The reference date.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Object|null} - { type: 'date'|'weekNumber', date: Date, weekNumber?: number } or null if parsing fails.
+ */
+function parseWeekNumberExpression(expr, referenceDate, options) {
+  const trimmed = expr.trim().toLowerCase();
+
+  // Handle "Week number", "This week number", "Next week number", "Week number of [Date Expression]"
+  const weekNumberMatch = trimmed.match(
+    /^(?:(this|next|last)\s+)?(?:iso\s+)?week\s+number(?:\s+of\s+(?:the\s+)?(.+))?$/i
+  );
+  if (weekNumberMatch) {
+    const direction = weekNumberMatch[1];
+    const baseExpression = weekNumberMatch[2];
+    if (direction && baseExpression) return null;
+
+    let date = referenceDate;
+    if (baseExpression) {
+      const baseDateResult = parseDateExpression(baseExpression, options);
+      if (!isDateResult(baseDateResult)) return null;
+      date = baseDateResult.date;
+    } else if (direction === "next") {
+      date = addWeeks(referenceDate, 1);
+    } else if (direction === "last") {
+      date = subWeeks(referenceDate, 1);
+    }
+
+    return { type: "weekNumber", date: startOfISOWeek(date), weekNumber: getISOWeek(date) };
   }
-  if (lowerExpr === "tomorrow") {
-    return { success: true, type: "date", date: clearTime(addDays(now, 1)) };
+
+  // Handle "This/Next/Last ISO week"
+  const relativeWeekMatch = trimmed.match(/^(this|next|last)\s+iso\s+week$/i);
+  if (relativeWeekMatch) {
+    const direction = relativeWeekMatch[1].toLowerCase();
+    const offset = direction === "next" ? 1 : direction === "last" ? -1 : 0;
+    return { type: "date", date: startOfISOWeek(addWeeks(referenceDate, offset)) };
   }
-  if (lowerExpr === "yesterday") {
-    return { success: true, type: "date", date: clearTime(subDays(now, 1)) };
+
+  // Handle "Week 42", "Monday of Week 12", "Week 3 of 2027", "Week 3 2027"
+  const weekMatch = trimmed.match(
+    /^(?:(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\s+of\s+)?(?:iso\s+)?week\s+(\d{1,2})(?:\s+(?:of\s+)?(\d{4}))?$/i
+  );
+  // Handle ISO notation "2027-W03" and "2027-W03-1"
+  const isoNotationMatch = trimmed.match(/^(\d{4})-?w(\d{2})(?:-?([1-7]))?$/i);
+
+  if (weekMatch || isoNotationMatch) {
+    let weekYear, week, weekday;
+    if (weekMatch) {
+      weekYear = weekMatch[3] ? parseInt(weekMatch[3], 10) : getISOWeekYear(referenceDate);
+      week = parseInt(weekMatch[2], 10);
+      weekday = weekMatch[1] ? getWeekdayIndex(weekMatch[1]) : 1;
+    } else {
+      weekYear = parseInt(isoNotationMatch[1], 10);
+      week = parseInt(isoNotationMatch[2], 10);
+      // ISO weekdays are numbered 1 (Monday) to 7 (Sunday)
+      weekday = isoNotationMatch[3] ? parseInt(isoNotationMatch[3], 10) % 7 : 1;
+    }
+
+    const weekDate = getISOWeekDate(weekYear, week);
+    if (!weekDate) return null;
+    return { type: "date", date: addDays(weekDate, weekdayOffset(weekday, 1)) };
   }
 
-  // Absolute Dates
-  const absoluteDate = parseAbsoluteDate(expr, now);
-  if (absoluteDate) {
-    return { success: true, type: "date", date: absoluteDate };
+  return null;
+}
+
+/**
+ * Gets the first and last moment of the period that contains a date.
+ * Fiscal periods are aligned to the fiscal year start month.
+ * @param {string} unit - 'quarter', 'fiscal quarter' or 'fiscal year'.
+ * @param {Date} date - A date within the period.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {{start: Date, end: Date}} - The start of the first day and end of the last day of the period.
+ */
+function getPeriodBounds(unit, date, options) {
+  let start;
+  let months = 3;
+  if (unit === "quarter") {
+    start = startOfQuarter(date);
+  } else {
+    const fiscalYearStart = getFiscalYearStart(date, options.fiscalYearStartMonth);
+    if (unit === "fiscal year") {
+      start = fiscalYearStart;
+      months = 12;
+    } else {
+      const monthsIntoYear = (date.getMonth() - options.fiscalYearStartMonth + 12) % 12;
+      start = addMonths(fiscalYearStart, Math.floor(monthsIntoYear / 3) * 3);
+    }
   }
+  const end = set(endOfMonth(addMonths(start, months - 1)), {
+    hours: 23,
+    minutes: 59,
+    seconds: 59,
+    milliseconds: 999,
+  });
+  return { start: clearTime(start), end };
+}
+
+/**
+ * Gets the first day of the fiscal year that contains a date.
+ * @param {Date} date - A date within the fiscal year.
+ * @param {number} fiscalYearStartMonth - The first month of the fiscal year (0 for January).
+ * @returns {Date}
+ */
+function getFiscalYearStart(date, fiscalYearStartMonth) {
+  const year =
+    date.getMonth() >= fiscalYearStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+  return new Date(year, fiscalYearStartMonth, 1);
+}
+
+/**
+ * Gets the first day of a fiscal year by its label, like 27 or 2027 for "FY27".
+ * Fiscal years are labeled by the calendar year in which they end.
+ * @param {number} label - The two or four digit fiscal year.
+ * @param {number} fiscalYearStartMonth - The first month of the fiscal year (0 for January).
+ * @returns {Date}
+ */
+function getFiscalYearStartByLabel(label, fiscalYearStartMonth) {
+  const endYear = label < 100 ? 2000 + label : label;
+  return new Date(fiscalYearStartMonth === 0 ? endYear : endYear - 1, fiscalYearStartMonth, 1);
+}
 
-  // Past and Future Dates
-  const relativeDate = parseRelativeDate(expr, now);
-  if (relativeDate) {
-    return { success: true, type: hasTime(relativeDate) ? "dateTime" : "date", date: relativeDate };
+/**
+ * Picks the year of an annual date without a year of its own, like "Jan 5", "September" or "Thanksgiving".
+ * @param {function(number): (Date|null)} dateInYear - Places the date in a given year.
+ * @param {Date} referenceDate - The reference date.
+ * @param {string} rollover - 'none' for the current year, 'upcoming' or 'recent' for the closest
+ * occurrence that includes today, or 'next' or 'last' for the closest occurrence before or after today.
+ * @param {string} [period] - 'day', or 'month' if the date stands for the whole month.
+ * @returns {Date|null} - The date in the chosen year or null if it can't be placed.
+ */
+function resolveAnnualDate(dateInYear, referenceDate, rollover, period = "day") {
+  const year = referenceDate.getFullYear();
+  const date = dateInYear(year);
+  if (!date) return null;
+
+  const today = clearTime(referenceDate);
+  const periodEnd = period === "month" ? endOfMonth(date) : date;
+  if ((rollover === "upcoming" && periodEnd < today) || (rollover === "next" && date <= today)) {
+    return clearTime(dateInYear(year + 1));
+  }
+  if ((rollover === "recent" && date > today) || (rollover === "last" && periodEnd >= today)) {
+    return clearTime(dateInYear(year - 1));
   }
+  return clearTime(date);
+}
 
-  // Time Expressions
-  const timeDate = parseTimeExpression(expr, now);
-  if (timeDate) {
-    return { success: true, type: "time", date: timeDate };
+/**
+ * Creates a date, rejecting days that don't exist like February 30th instead of rolling them over.
+ * @param {number} year - The full year.
+ * @param {number} monthIndex - 0 (January) to 11 (December).
+ * @param {number} day - The day of the month.
+ * @returns {Date|null} - The start of the day or null if the day doesn't exist.
+ */
+function createValidDate(year, monthIndex, day) {
+  const date = new Date(year, monthIndex, day);
+  if (date.getFullYear() !== year || date.getMonth() !== monthIndex || date.getDate() !== day) {
+    return null;
   }
+  return date;
+}
 
-  // If none matched
-  return { success: false };
+/**
+ * Gets the Monday that starts an ISO week.
+ * @param {number} weekYear - The ISO week-numbering year.
+ * @param {number} week - The ISO week number (1 to 52 or 53).
+ * @returns {Date|null} - The start of the week or null if the week doesn't exist in that year.
+ */
+function getISOWeekDate(weekYear, week) {
+  // January 4th is always in the first ISO week of the year
+  const yearReference = new Date(weekYear, 0, 4);
+  if (week < 1 || week > getISOWeeksInYear(yearReference)) return null;
+  return clearTime(addWeeks(startOfISOWeekYear(yearReference), week - 1));
 }
 
 /**
  * Parses absolute date expressions.
  * @param {string} expr - The absolute date expression.
  * @param {Date} referenceDate - The date from which to calculate absolute dates.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
  * @returns {Date|null} - The calculated Date object or null if parsing fails.
  */
-function parseAbsoluteDate(expr, referenceDate) {
+function parseAbsoluteDate(expr, referenceDate, options) {
   // Define full and abbreviated month and weekday names
   const months = [
     "january",
@@ -164,31 +965,80 @@ function parseAbsoluteDate(expr, referenceDate) {
     return saturdayStart;
   }
 
+  // Dates without a year like "Jan 5" are in the current year, unless the year rollover option or a
+  // "Next"/"Last" modifier like "Next Jan 5" moves them to the upcoming or most recent occurrence
+  const rolloverMatch = trimmed.match(/^(next|last)\s+(.+)$/);
+  const annualExpr = rolloverMatch ? rolloverMatch[2] : trimmed;
+  const rollover = rolloverMatch ? rolloverMatch[1] : options.yearRollover;
+
   // 2. Handle single month names like "September"
   for (let month of months) {
-    if (trimmed === month) {
+    if (annualExpr === month) {
       const monthIndex = getMonthIndex(month);
-      const date = new Date(referenceDate.getFullYear(), monthIndex, 1);
-      // Set time to start of day
-      return clearTime(date);
+      return resolveAnnualDate(
+        (year) => new Date(year, monthIndex, 1),
+        referenceDate,
+        rollover,
+        "month"
+      );
     }
   }
 
-  // 3. Handle specific dates like "October 31st" or "Oct 31"
-  const specificDateMatch = expr.match(
+  // 3. Handle specific dates like "October 31st", "Oct 31" or "31st of October"
+  const specificDateMatch = annualExpr.match(
     /^(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2})(st|nd|rd|th)?$/i
   );
-  if (specificDateMatch) {
-    const month = specificDateMatch[1];
-    const day = parseInt(specificDateMatch[2], 10);
+  const specificDayFirstMatch = annualExpr.match(
+    /^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/i
+  );
+  if (specificDateMatch || specificDayFirstMatch) {
+    const [month, dayPart] = specificDateMatch
+      ? [specificDateMatch[1], specificDateMatch[2]]
+      : [specificDayFirstMatch[2], specificDayFirstMatch[1]];
+    const day = parseInt(dayPart, 10);
     const monthIndex = getMonthIndex(month);
     if (monthIndex !== -1) {
-      const date = new Date(referenceDate.getFullYear(), monthIndex, day);
-      // Set time to start of day
-      return clearTime(date);
+      return resolveAnnualDate((year) => new Date(year, monthIndex, day), referenceDate, rollover);
     }
   }
 
+  // 3a. Handle dates with years like "March 5 2027", "Dec 31, 2026" or "5th of March, 2027"
+  const monthFirstMatch = expr.match(
+    /^(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i
+  );
+  const dayFirstMatch = expr.match(
+    /^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec),?\s+(\d{4})$/i
+  );
+  if (monthFirstMatch || dayFirstMatch) {
+    const [month, day, year] = monthFirstMatch
+      ? [monthFirstMatch[1], monthFirstMatch[2], monthFirstMatch[3]]
+      : [dayFirstMatch[2], dayFirstMatch[1], dayFirstMatch[3]];
+    return createValidDate(parseInt(year, 10), getMonthIndex(month), parseInt(day, 10));
+  }
+
+  // 3b. Handle months of other years like "March 2027"
+  const monthYearMatch = expr.match(
+    /^(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{4})$/i
+  );
+  if (monthYearMatch) {
+    return new Date(parseInt(monthYearMatch[2], 10), getMonthIndex(monthYearMatch[1]), 1);
+  }
+
+  // 3c. Handle ISO dates like "2027-03-05" and numeric dates like "3/5/2027", "5.3.2027"
+  // Numeric dates need a year, so "10/3" is still evaluated as math
+  const isoDateMatch = trimmed.match(ISO_DATE_PATTERN);
+  if (isoDateMatch) {
+    const [, year, month, day] = isoDateMatch.map((part) => parseInt(part, 10));
+    return createValidDate(year, month - 1, day);
+  }
+  const numericDateMatch = trimmed.match(NUMERIC_DATE_PATTERN);
+  if (numericDateMatch) {
+    const first = parseInt(numericDateMatch[1], 10);
+    const second = parseInt(numericDateMatch[3], 10);
+    const [month, day] = options.dateOrder === "DMY" ? [second, first] : [first, second];
+    return createValidDate(parseInt(numericDateMatch[4], 10), month - 1, day);
+  }
+
   // 4. Handle "End of March", "Beginning of April"
   const endBeginningMatch = expr.match(
     /^(end|beginning)\s+of\s+(January|February|March|April|May|June|July|August|September|October|November|December)$/i
@@ -221,10 +1071,65 @@ function parseAbsoluteDate(expr, referenceDate) {
     }
   }
 
+  // 5. Handle quarters like "Q3", "Q2 2027", "End of Q4 of 2025"
+  const quarterMatch = trimmed.match(
+    /^(?:(end|beginning)\s+of\s+)?q([1-4])(?:\s+(?:of\s+)?(\d{4}))?$/i
+  );
+  if (quarterMatch) {
+    const year = quarterMatch[3] ? parseInt(quarterMatch[3], 10) : referenceDate.getFullYear();
+    const quarterStart = new Date(year, (parseInt(quarterMatch[2], 10) - 1) * 3, 1);
+    const { start, end } = getPeriodBounds("quarter", quarterStart, options);
+    return quarterMatch[1] && quarterMatch[1].toLowerCase() === "end" ? end : start;
+  }
+
+  // 6. Handle fiscal years and quarters like "FY27", "FY27 Q1", "Q1 FY2027", "End of FY27"
+  const fiscalYearFirstMatch = trimmed.match(
+    /^(?:(end|beginning)\s+of\s+)?fy\s?(\d{2}|\d{4})(?:\s+q([1-4]))?$/i
+  );
+  const fiscalQuarterFirstMatch = trimmed.match(
+    /^(?:(end|beginning)\s+of\s+)?q([1-4])\s+(?:of\s+)?fy\s?(\d{2}|\d{4})$/i
+  );
+  if (fiscalYearFirstMatch || fiscalQuarterFirstMatch) {
+    const [, type, fiscalYearPart, quarterPart] = fiscalYearFirstMatch || [
+      ...fiscalQuarterFirstMatch.slice(0, 2),
+      fiscalQuarterFirstMatch[3],
+      fiscalQuarterFirstMatch[2],
+    ];
+    const fiscalYearStart = getFiscalYearStartByLabel(
+      parseInt(fiscalYearPart, 10),
+      options.fiscalYearStartMonth
+    );
+    const unit = quarterPart ? "fiscal quarter" : "fiscal year";
+    const periodDate = quarterPart
+      ? addQuarters(fiscalYearStart, parseInt(quarterPart, 10) - 1)
+      : fiscalYearStart;
+    const { start, end } = getPeriodBounds(unit, periodDate, options);
+    return type && type.toLowerCase() === "end" ? end : start;
+  }
+
+  // 7. Handle holidays and custom observances like "Thanksgiving", "Labor Day next year", "Easter 2027"
+  const holidayMatch = trimmed.match(
+    /^(.+?)(?:\s+(?:(next|last|this)\s+year|(?:of\s+|in\s+)?(\d{4})))?$/i
+  );
+  if (holidayMatch && (holidayMatch[2] || holidayMatch[3])) {
+    let year = referenceDate.getFullYear();
+    if (holidayMatch[2] === "next") year += 1;
+    if (holidayMatch[2] === "last") year -= 1;
+    if (holidayMatch[3]) year = parseInt(holidayMatch[3], 10);
+    const holiday = findObservance(holidayMatch[1], year, options);
+    if (holiday) return holiday;
+  }
+  const annualHoliday = resolveAnnualDate(
+    (year) => findObservance(annualExpr, year, options),
+    referenceDate,
+    rollover
+  );
+  if (annualHoliday) return annualHoliday;
+
   // Updated code in parseAbsoluteDate
   if (weekdays.includes(trimmed)) {
     const weekdayIndex = getWeekdayIndex(trimmed);
-    const targetDate = getCurrentWeekday(referenceDate, weekdayIndex);
+    const targetDate = getCurrentWeekday(referenceDate, weekdayIndex, options.weekStartsOn);
     // Set time to start of day
     return clearTime(targetDate);
   }
@@ -237,9 +1142,10 @@ function parseAbsoluteDate(expr, referenceDate) {
  * Parses relative date expressions like "Next Monday", "In 14 days", "A month ago".
  * @param {string} expr - The relative date expression.
  * @param {Date} referenceDate - The date from which to calculate relative dates.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
  * @returns {Date|null} - The calculated Date object or null if parsing fails.
  */
-function parseRelativeDate(expr, referenceDate) {
+function parseRelativeDate(expr, referenceDate, options) {
   const trimmed = expr.trim().toLowerCase();
 
   // Handle "[Weekday] of Last/Next Week"
@@ -251,17 +1157,15 @@ function parseRelativeDate(expr, referenceDate) {
     const weekDirection = weekdayOfWeekMatch[2].toLowerCase();
     const weekdayIndex = getWeekdayIndex(weekday);
 
-    // Find the start of the current week (Sunday)
-    const startOfCurrentWeek = set(referenceDate, {
-      date: referenceDate.getDate() - referenceDate.getDay(),
-    });
+    // Find the start of the current week
+    const startOfCurrentWeek = startOfWeek(referenceDate, { weekStartsOn: options.weekStartsOn });
 
     // Determine the reference week by subtracting/adding one week
     const referenceWeek =
       weekDirection === "last" ? subDays(startOfCurrentWeek, 7) : addDays(startOfCurrentWeek, 7);
 
     // Adjust the reference week to find the correct weekday
-    const resultDate = addDays(referenceWeek, weekdayIndex);
+    const resultDate = addDays(referenceWeek, weekdayOffset(weekdayIndex, options.weekStartsOn));
     return clearTime(resultDate);
   }
 
@@ -282,9 +1186,25 @@ function parseRelativeDate(expr, referenceDate) {
     }
   }
 
-  // 2. Handle "Next month", "Last year", etc.
+  // Handle "Next quarter", "This fiscal year", "End of last fiscal quarter", "Beginning of quarter", etc.
+  const periodMatch = trimmed.match(
+    /^(?:(end|beginning)\s+of\s+)?(?:(next|last|this)\s+)?(quarter|fiscal\s+year|fiscal\s+quarter)$/i
+  );
+  if (periodMatch && (periodMatch[1] || periodMatch[2])) {
+    const type = periodMatch[1] ? periodMatch[1].toLowerCase() : "beginning";
+    const direction = periodMatch[2] ? periodMatch[2].toLowerCase() : "this";
+    const unit = periodMatch[3].toLowerCase().replace(/\s+/, " ");
+    const offset = direction === "next" ? 1 : direction === "last" ? -1 : 0;
+
+    const date =
+      unit === "fiscal year" ? addYears(referenceDate, offset) : addQuarters(referenceDate, offset);
+    const { start, end } = getPeriodBounds(unit, date, options);
+    return type === "end" ? end : start;
+  }
+
+  // 2. Handle "Next month", "Last year", "Next business day", etc.
   const nextLastUnitMatch = trimmed.match(
-    /^(next|last)\s+(day|week|month|year|hour|minute|second)s?$/i
+    /^(next|last|previous)\s+((?:business|work(?:ing)?)\s*day|day|week|month|year|hour|minute|second)s?$/i
   );
   if (nextLastUnitMatch) {
     const direction = nextLastUnitMatch[1].toLowerCase();
@@ -292,16 +1212,16 @@ function parseRelativeDate(expr, referenceDate) {
 
     let result;
     if (direction === "next") {
-      result = addTime(referenceDate, 1, unit);
-    } else if (direction === "last") {
-      result = subtractTime(referenceDate, 1, unit);
+      result = addTime(referenceDate, 1, unit, options);
+    } else if (direction === "last" || direction === "previous") {
+      result = subtractTime(referenceDate, 1, unit, options);
     }
     return isTimeUnit(unit) ? result : clearTime(result);
   }
 
   // Handle "In 14 days", "In three hours", "In twenty four hours", etc. and "Two Months from Now" as alias for "In Two Months"
   const inMatch = trimmed.match(
-    /^(?:in\s+((?:-?\d+)|(?:\w+(?:[\s-]+\w+)*))\s+(day|week|month|year|hour|minute|second)s?|((?:-?\d+)|(?:\w+(?:[\s-]+\w+)*))\s+(day|week|month|year|hour|minute|second)s?\s+from\s+now)$/i
+    /^(?:in\s+((?:-?\d+)|(?:\w+(?:[\s-]+\w+)*?))\s+((?:business|work(?:ing)?)\s*day|day|week|month|quarter|year|hour|minute|second)s?|((?:-?\d+)|(?:\w+(?:[\s-]+\w+)*?))\s+((?:business|work(?:ing)?)\s*day|day|week|month|quarter|year|hour|minute|second)s?\s+from\s+now)$/i
   );
   if (inMatch) {
     // Extract number from Group 1 or Group 3
@@ -319,19 +1239,21 @@ function parseRelativeDate(expr, referenceDate) {
     const unit = (inMatch[2] || inMatch[4]).toLowerCase();
 
     // Add time based on unit and value
-    const result = addTime(referenceDate, value, unit);
+    const result = addTime(referenceDate, value, unit, options);
 
     // Return the result, handling time units appropriately
     return isTimeUnit(unit) ? result : clearTime(result); // value can be negative
   }
 
   // 4. Handle "A month ago", "2 days ago", etc.
-  const agoMatch = trimmed.match(/^(\d+|\w+)\s+(day|week|month|year|hour|minute|second)s?\s+ago$/i);
+  const agoMatch = trimmed.match(
+    /^(\d+|\w+)\s+((?:business|work(?:ing)?)\s*day|day|week|month|quarter|year|hour|minute|second)s?\s+ago$/i
+  );
   if (agoMatch) {
     const value = parseInt(agoMatch[1], 10) || wordToNumber(agoMatch[1]);
     const unit = agoMatch[2].toLowerCase();
     if (isNaN(value)) return null;
-    const result = subtractTime(referenceDate, value, unit);
+    const result = subtractTime(referenceDate, value, unit, options);
     return isTimeUnit(unit) ? result : clearTime(result);
   }
 
@@ -367,8 +1289,7 @@ function parseRelativeDate(expr, referenceDate) {
     if (unit === "day") {
       // For 'day', no normalization needed
     } else if (unit === "week") {
-      // Assuming week starts on Sunday
-      date = set(date, { date: date.getDate() - date.getDay() });
+      date = startOfWeek(date, { weekStartsOn: options.weekStartsOn });
     } else if (unit === "month") {
       date = set(date, { date: 1 });
     } else if (unit === "year") {
@@ -386,7 +1307,7 @@ function parseRelativeDate(expr, referenceDate) {
         });
       }
       if (unit === "week") {
-        return endOfWeek(date); // End of the week (Saturday)
+        return endOfWeek(date, { weekStartsOn: options.weekStartsOn }); // Last day of the week
       }
       if (unit === "month") {
         return endOfMonth(date);
@@ -404,7 +1325,7 @@ function parseRelativeDate(expr, referenceDate) {
         return clearTime(date);
       }
       if (unit === "week") {
-        return clearTime(date); // Beginning of the week (Sunday)
+        return clearTime(date); // First day of the week
       }
       if (unit === "month") {
         return startOfMonth(date);
@@ -425,10 +1346,7 @@ function parseRelativeDate(expr, referenceDate) {
       return clearTime(date);
     }
     if (unit === "week") {
-      // Assuming week starts on Sunday
-      const startOfWeek = set(date, { date: date.getDate() - date.getDay() });
-      const endOfWeek = addDays(startOfWeek, 6);
-      return clearTime(startOfWeek);
+      return clearTime(startOfWeek(date, { weekStartsOn: options.weekStartsOn }));
     }
     if (unit === "month") {
       return startOfMonth(date);
@@ -443,222 +1361,679 @@ function parseRelativeDate(expr, referenceDate) {
 }
 
 /**
- * Parses compound date expressions like "Two weeks after Friday".
- * @param {string} expr - The compound date expression.
- * @param {Date} referenceDate - The reference date.
- * @returns {Date|null} - The calculated Date object or null if parsing fails.
+ * Gets the period that ordinal days like "the 3rd business day of next month" are counted in.
+ * Weeks, quarters and years span their days, anything else is the month of the base date.
+ * @param {string} baseExpression - The period, like "next month", "Q3", "this year", "2027" or "month".
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {{start: Date, end: Date}|null} - The first and last day of the period or null if parsing fails.
  */
-function parseCompoundExpression(expr, referenceDate) {
-  const compoundMatch = expr.match(/^(\w+\s+\w+)\s+(before|after)\s+(?:the\s+)?(.*)$/i);
-  if (compoundMatch) {
-    const valueUnit = compoundMatch[1].toLowerCase();
-    const direction = compoundMatch[2].toLowerCase();
-    const baseExpression = compoundMatch[3].trim();
-
-    const baseDateResult = parseDateExpression(baseExpression);
-    if (baseDateResult.success) {
-      let value = parseInt(valueUnit.split(" ")[0], 10);
-      if (isNaN(value)) {
-        value = wordToNumber(valueUnit.split(" ")[0]);
-      }
-      const unit = valueUnit.split(" ")[1];
+function getOrdinalPeriod(baseExpression, options) {
+  const base = baseExpression.toLowerCase().replace(/\s+/g, " ");
+  if (/^\d{4}$/.test(base)) {
+    const year = parseInt(base, 10);
+    return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+  }
 
-      if (direction === "after") {
-        return addTime(baseDateResult.date, value, unit);
-      } else if (direction === "before") {
-        return subtractTime(baseDateResult.date, value, unit);
-      }
-    }
+  // A bare unit like "the month" is the current one
+  const isUnit = /^(?:week|month|quarter|year)$/.test(base);
+  const baseDateResult = parseDateExpression(isUnit ? `this ${base}` : baseExpression, options);
+  if (!isDateResult(baseDateResult)) return null;
+  const date = clearTime(baseDateResult.date);
+
+  if (/\bweek\b/.test(base)) {
+    // ISO weeks like "week 42" already start on their Monday
+    const start = /\bweek \d/.test(base)
+      ? date
+      : startOfWeek(date, { weekStartsOn: options.weekStartsOn });
+    return { start, end: addDays(start, 6) };
   }
+  if (/\byear\b/.test(base) && !/\bfiscal\b/.test(base)) {
+    return { start: new Date(date.getFullYear(), 0, 1), end: new Date(date.getFullYear(), 11, 31) };
+  }
+  // Quarters and fiscal years are evaluated to their first day
+  const months = /\b(?:quarter|q[1-4])\b/.test(base)
+    ? 3
+    : /\b(?:fiscal year|fy ?\d+)$/.test(base)
+      ? 12
+      : 1;
+  const start = startOfMonth(date);
+  return { start, end: clearTime(endOfMonth(addMonths(start, months - 1))) };
+}
 
-  // Handle "First/Second/Third/Fourth/Fifth/Last Weekday of [Month Expression]"
-  const weekdayOfMonthMatch = expr.match(
-    /^(first|second|third|fourth|fifth|last)\s+(weekday|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\s+of\s+(.*)$/i
-  );
-  if (weekdayOfMonthMatch) {
-    const position = weekdayOfMonthMatch[1].toLowerCase();
-    const dayType = weekdayOfMonthMatch[2].toLowerCase();
-    const baseExpression = weekdayOfMonthMatch[3].trim();
-
-    const baseDateResult = parseDateExpression(baseExpression);
-    if (baseDateResult.success) {
-      let date = baseDateResult.date;
-      const originalMonth = date.getMonth();
-      const positions = {
-        first: 1,
-        second: 2,
-        third: 3,
-        fourth: 4,
-        fifth: 5,
-      };
-
-      if (positions[position]) {
-        const occurrence = positions[position];
-        date = set(date, { date: 1 }); // Start from the first day of the month
-
-        if (dayType === "weekday") {
-          // Find the first weekday
-          while (date.getDay() === 0 || date.getDay() === 6) {
-            date = addDays(date, 1);
-          }
-          // Move to the nth weekday
-          let count = 1;
-          while (count < occurrence) {
-            date = addDays(date, 1);
-            if (date.getDay() !== 0 && date.getDay() !== 6) {
-              count++;
-            }
-            // Check if we've moved to the next month
-            if (date.getMonth() !== originalMonth) {
-              return null; // Specified occurrence does not exist
-            }
-          }
-        } else {
-          // Find the first occurrence of the specific weekday
-          const targetDayIndex = getWeekdayIndex(dayType);
-          while (date.getDay() !== targetDayIndex) {
-            date = addDays(date, 1);
-          }
-          // Move to the nth occurrence of the weekday
-          date = addDays(date, (occurrence - 1) * 7);
-          // Check if we've moved to the next month
-          if (date.getMonth() !== originalMonth) {
-            return null; // Specified occurrence does not exist
-          }
-        }
-      } else if (position === "last") {
-        date = set(date, { date: endOfMonth(date).getDate() }); // Start from the last day of the month
-
-        if (dayType === "weekday") {
-          // Find the last weekday
-          while (date.getDay() === 0 || date.getDay() === 6) {
-            date = subDays(date, 1);
-          }
-        } else {
-          // Find the last occurrence of the specific weekday
-          const targetDayIndex = getWeekdayIndex(dayType);
-          while (date.getDay() !== targetDayIndex) {
-            date = subDays(date, 1);
-          }
-        }
-      }
+/**
+ * Finds the nth day of a kind within a period, like its 3rd business day or last Friday.
+ * @param {{start: Date, end: Date}} period - The first and last day of the period.
+ * @param {number} position - 1 for the first matching day, 2 for the second, or -1 for the last.
+ * @param {string} dayType - 'day', 'weekday', 'business day' or a weekday name.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Date|null} - The day or null if the period doesn't have that many matching days.
+ */
+function findOrdinalDay({ start, end }, position, dayType, options) {
+  const step = position < 0 ? -1 : 1;
+  let count = 0;
+  for (let day = step > 0 ? start : end; day >= start && day <= end; day = addDays(day, step)) {
+    if (isOrdinalDayType(day, dayType, options) && ++count === Math.abs(position)) return day;
+  }
+  return null;
+}
 
-      return clearTime(date);
+/**
+ * Counts the days of a kind within a period, like its business days or Fridays.
+ * @param {{start: Date, end: Date}} period - The first and last day of the period.
+ * @param {string} dayType - 'day', 'weekday', 'business day' or a weekday name.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {number}
+ */
+function countOrdinalDays({ start, end }, dayType, options) {
+  let count = 0;
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (isOrdinalDayType(day, dayType, options)) count++;
+  }
+  return count;
+}
+
+/**
+ * Checks if a day is of the kind ordinal days count, like a business day or a Friday.
+ * @param {Date} day - The day.
+ * @param {string} dayType - 'day', 'weekday', 'business day' or a weekday name.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {boolean}
+ */
+function isOrdinalDayType(day, dayType, options) {
+  if (dayType === "weekday") return day.getDay() !== 0 && day.getDay() !== 6;
+  if (dayType === "business day") return isBusinessDay(day, options);
+  const weekdayIndex = getWeekdayIndex(dayType);
+  return weekdayIndex === -1 || day.getDay() === weekdayIndex;
+}
+
+/**
+ * Parses durations like "2 days", "1 week 2 days", "2 days and 3 hours", "A week and a half",
+ * "Half an hour" or "1.5 weeks". Fractions carry over into smaller units, so "A week and a half"
+ * is 1 week, 3 days and 12 hours and "Half a month" is 15 days.
+ * @param {string} phrase - The duration.
+ * @returns {Array<{value: number, unit: string}>|null} - Whole amounts from the largest unit to the
+ * smallest or null if parsing fails.
+ */
+function parseDurationPhrase(phrase) {
+  const termPattern = new RegExp(
+    `^(?:(half)\\s+an?\\s+|(\\d+(?:\\.\\d+)?)\\s*|((?:[a-z]+[\\s-])?[a-z]+)\\s+)(and\\s+a\\s+half\\s+)?(${DURATION_UNIT_PATTERN})(?![a-z])(\\s+and\\s+a\\s+half)?(?:\\s*,?\\s+(?:and\\s+)?|$)`,
+    "i"
+  );
+  const parts = [];
+  let rest = phrase.trim();
+  while (rest) {
+    const termMatch = rest.match(termPattern);
+    if (!termMatch) return null;
+    const [term, half, digits, words, halfBefore, unitName, halfAfter] = termMatch;
+    let value = half ? 0.5 : digits ? parseFloat(digits) : wordToNumber(words.replace(/-/g, " "));
+    if (isNaN(value)) return null;
+    if (halfBefore || halfAfter) value += 0.5;
+
+    // Carry fractions into smaller units until the amount is whole
+    let unit = toDurationUnit(unitName);
+    for (;;) {
+      const whole = Math.floor(value);
+      // Round away floating point noise like 0.1 * 3
+      const fraction = Math.round((value - whole) * 1e9) / 1e9;
+      if (whole || !fraction) parts.push({ value: whole, unit });
+      if (!fraction) break;
+      if (!DURATION_FRACTIONS[unit]) return null;
+      value = fraction * DURATION_FRACTIONS[unit][0];
+      unit = DURATION_FRACTIONS[unit][1];
     }
+    rest = rest.slice(term.length);
   }
+  return parts.sort(
+    (a, b) => DURATION_UNIT_ORDER.indexOf(a.unit) - DURATION_UNIT_ORDER.indexOf(b.unit)
+  );
+}
 
-  return null;
+/**
+ * Parses duration literals like "3d", "90m" or "1d 12h", which can combine several units.
+ * @param {string} literal - The duration literal.
+ * @returns {Array<{value: number, unit: string}>|null} - The amounts in the order they are written or null
+ * if parsing fails.
+ */
+function parseDurationLiteral(literal) {
+  if (!DURATION_LITERAL_PATTERN.test(literal)) return null;
+  return [...literal.matchAll(new RegExp(`(\\d+)\\s*(${DURATION_UNIT_PATTERN})`, "gi"))].map(
+    ([, value, unit]) => ({ value: parseInt(value, 10), unit: toDurationUnit(unit) })
+  );
 }
 
 /**
- * Parses time expressions like "Now", "10 minutes ago", "In three hours", "9 pm", "21:30".
+ * Converts a duration unit like "days", "hrs", "3d"'s "d" or "working days" to its singular name.
+ * @param {string} unit - The unit as written.
+ * @returns {string} - The unit, e.g. "day", "hour" or "business day".
+ */
+function toDurationUnit(unit) {
+  const singular = normalizeUnit(unit).replace(/(.)s$/, "$1");
+  return DURATION_ABBREVIATIONS[singular] || singular;
+}
+
+/**
+ * Parses time expressions like "Now", "9 pm", "21:30" or named times of day like "Noon" and "End of day".
  * @param {string} expr - The time expression.
  * @param {Date} referenceDate - The date from which to set time.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
  * @returns {Date|null} - The updated Date object with the specified time or null if parsing fails.
  */
-function parseTimeExpression(expr, referenceDate) {
-  const trimmed = expr.trim().toLowerCase();
+function parseTimeExpression(expr, referenceDate, options) {
+  const trimmed = expr.trim().toLowerCase().replace(/\s+/g, " ");
 
   if (trimmed === "now") {
-    return new Date();
+    return new Date(referenceDate);
+  }
+
+  const clockTime = options.timesOfDay[trimmed] || parseClockTime(trimmed, options.bareHours);
+  if (clockTime) {
+    return set(referenceDate, {
+      hours: clockTime.hours,
+      minutes: clockTime.minutes,
+      seconds: 0,
+      milliseconds: 0,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Parses a clock time like "9 pm", "21:30" or "3".
+ * @param {string} time - The lowercase clock time.
+ * @param {string} bareHours - How to read times without am/pm, "24h" or "daytime" (see EvaluatorOptions).
+ * @returns {{hours: number, minutes: number}|null} - The clock time or null if parsing fails.
+ */
+function parseClockTime(time, bareHours) {
+  const timeMatch = time.match(/^(\d{1,2})(:(\d{2}))?\s*(am|pm)?$/i);
+  if (!timeMatch) return null;
+
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = timeMatch[3] ? parseInt(timeMatch[3], 10) : 0;
+  const period = timeMatch[4];
+
+  if (period) {
+    if (period.toLowerCase() === "pm" && hours < 12) {
+      hours += 12;
+    }
+    if (period.toLowerCase() === "am" && hours === 12) {
+      hours = 0;
+    }
+  } else if (bareHours === "daytime" && hours >= 1 && hours <= 6 && !timeMatch[1].startsWith("0")) {
+    // Nobody schedules a meeting at 3 in the night, but "03:00" is written on purpose
+    hours += 12;
   }
 
-  // Specific time like "9 pm", "21:30"
-  const timeMatch = trimmed.match(/^(\d{1,2})(:(\d{2}))?\s*(am|pm)?$/i);
+  return { hours, minutes };
+}
+
+/**
+ * Parses how an expression is made of other dates with the date grammar, checking its phrases with the
+ * expression handlers.
+ * @param {string} expr - The expression, e.g. "2 days after Friday at 9am".
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {{tree: DateNode|null, error: Object|null, phrases: Map<string, Object>}} - The result of
+ * parseDateGrammar and the evaluations of the phrases it checked.
+ */
+function parseDateTree(expr, options) {
+  const phrases = new Map();
+  const isDate = (phrase) => {
+    if (!phrases.has(phrase)) {
+      phrases.set(
+        phrase,
+        evaluatePhrase(phrase, options, ({ type }) => DATE_TYPES.includes(type))
+      );
+    }
+    const evaluation = phrases.get(phrase);
+    return Boolean(evaluation) && DATE_TYPES.includes(evaluation.type);
+  };
+  const terminals = {
+    isDate,
+    isTime: (phrase) =>
+      CLOCK_TIME_PATTERN.test(phrase) ||
+      Boolean(options.timesOfDay[phrase.toLowerCase().replace(/\s+/g, " ")]),
+    parseDuration: parseDurationPhrase,
+    parseDurationLiteral,
+    resolveTimeZone,
+    isMonthName,
+  };
+  return { ...parseDateGrammar(expr, terminals), phrases };
+}
+
+/**
+ * Evaluates a date parsed with the date grammar, from its innermost date out.
+ * @param {DateNode} node - The parsed date.
+ * @param {Map<string, Object>} phrases - The evaluations of its phrases.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Object|null} - { type: 'date'|'dateTime'|'time', result: Date } or null if evaluation fails.
+ */
+function evaluateDateTree(node, phrases, options) {
+  if (node.type === "phrase") return phrases.get(node.text);
+  if (node.type === "ordinalDay") {
+    const period = getOrdinalPeriod(node.period, options);
+    const date =
+      period &&
+      findOrdinalDay(period, parseOrdinal(node.ordinal), normalizeUnit(node.dayType), options);
+    return date ? { type: "date", result: date } : null;
+  }
+
+  const base = evaluateDateTree(node.base, phrases, options);
+  if (!base) return null;
+  if (node.type === "arithmetic" || node.type === "offset") {
+    const date = node.duration.reduce(
+      (movedDate, { value, unit }) => addTime(movedDate, node.sign * value, unit, options),
+      base.result
+    );
+    // Moving by days or longer keeps offsets dates, even from the end of a period
+    const isDate = node.type === "offset" && !node.addsTime;
+    return { type: isDate ? "date" : getMovedDateType(base, date, node.addsTime), result: date };
+  }
+  if (node.type === "timeZone") {
+    // A time zone after a date reads it as the wall clock time in that zone, converted to local time,
+    // while "in" a time zone shows the date on the wall clock of that zone
+    const date = node.converts
+      ? toZonedTime(base.result, node.zone)
+      : fromZonedTime(base.result, node.zone);
+    return { type: getMovedDateType(base, date, true), result: date };
+  }
+  const timeDate = parseTimeExpression(node.time, base.result, options);
+  return timeDate ? { type: "dateTime", result: set(timeDate, { milliseconds: 0 }) } : null;
+}
+
+/**
+ * Picks the type of a date result that was moved to another date or time. Dates stay dates unless
+ * a time was added, and times stay times unless they moved to another day.
+ * @param {Object} base - The evaluation of the date that was moved.
+ * @param {Date} date - The moved date.
+ * @param {boolean} addsTime - If the move can change the time of day.
+ * @returns {string} - 'date', 'dateTime' or 'time'.
+ */
+function getMovedDateType(base, date, addsTime) {
+  if (base.type === "date" && !addsTime) return "date";
+  if (base.type === "time" && isSameDay(date, base.result)) return "time";
+  return "dateTime";
+}
+
+/**
+ * A recurrence rule, modeled after the iCalendar RRULE.
+ * @typedef {Object} RecurrenceRule
+ * @property {string} freq - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @property {number} interval - Every how many days, weeks, months or years the rule repeats.
+ * @property {number[]} [byWeekday] - The weekdays of weekly rules, 0 (Sunday) to 6 (Saturday).
+ * @property {number} [bySetPos] - With one weekday, which occurrence of it in the month, -1 for the last one.
+ * @property {number} [byMonthDay] - The day of the month, -1 for the last day.
+ * @property {number} [byMonth] - The month of yearly rules, 0 (January) to 11 (December).
+ * @property {boolean} [businessDays] - If only business days match daily rules.
+ * @property {{hours: number, minutes: number}|null} time - The time of day of each occurrence.
+ * @property {Date|null} start - The day the rule starts on. Intervals are counted from its first occurrence.
+ */
+
+/**
+ * Parses recurrences like "Every other Tuesday", "Every 3rd Friday", "Every weekday at 9am",
+ * "Next occurrence of the 15th" or "Every 2 weeks starting March 1".
+ * @param {string} expr - The recurrence expression.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {RecurrenceRule|null} - The recurrence rule or null if parsing fails.
+ */
+function parseRecurrenceRule(expr, options) {
+  const recurrenceMatch = expr.match(/^(?:every|each|next\s+occurrence\s+of)\s+(.+)$/i);
+  if (!recurrenceMatch) return null;
+  let pattern = recurrenceMatch[1].toLowerCase().replace(/\s+/g, " ").trim();
+
+  let start = null;
+  const startMatch = pattern.match(/^(.+?) (?:starting|beginning|from) (?:on )?(.+)$/);
+  if (startMatch) {
+    const startResult = parseDateExpression(startMatch[2], options);
+    if (!isDateResult(startResult)) return null;
+    start = clearTime(startResult.date);
+    pattern = startMatch[1];
+  }
+
+  let time = null;
+  const timeMatch = pattern.match(/^(.+?) at (.+)$/);
   if (timeMatch) {
-    let hours = parseInt(timeMatch[1], 10);
-    const minutes = timeMatch[3] ? parseInt(timeMatch[3], 10) : 0;
-    const period = timeMatch[4];
+    time = options.timesOfDay[timeMatch[2]] || parseClockTime(timeMatch[2], options.bareHours);
+    if (!time) return null;
+    pattern = timeMatch[1];
+  }
 
-    if (period) {
-      if (period.toLowerCase() === "pm" && hours < 12) {
-        hours += 12;
-      }
-      if (period.toLowerCase() === "am" && hours === 12) {
-        hours = 0;
-      }
+  // Intervals like "every other week" or "every 3 days", but not ordinals like "every 3rd Friday"
+  let interval = 1;
+  const intervalMatch = pattern.match(/^(other|\d+|[a-z]+) (.+)$/);
+  if (intervalMatch) {
+    const count = intervalMatch[1] === "other" ? 2 : parseInt(intervalMatch[1], 10);
+    const value = isNaN(count) ? wordToNumber(intervalMatch[1]) : count;
+    if (!isNaN(value) && value > 0) {
+      interval = value;
+      pattern = intervalMatch[2];
     }
+  }
 
-    let dateWithTime = set(referenceDate, {
-      hours: hours,
-      minutes: minutes,
-      seconds: 0,
-      milliseconds: 0,
-    });
-    return dateWithTime;
+  const rule = parseRecurrencePattern(pattern);
+  return rule && { interval, ...rule, time, start };
+}
+
+/**
+ * Parses what a recurrence repeats on, like "day", "weekday", "tuesday and thursday",
+ * "3rd friday", "15th" or "march 1".
+ * @param {string} pattern - The lowercase recurrence pattern, without the interval, time and start.
+ * @returns {Object|null} - The frequency and the by* properties of a RecurrenceRule or null if parsing fails.
+ */
+function parseRecurrencePattern(pattern) {
+  const unit = normalizeUnit(pattern).replace(/s$/, "");
+  if (unit === "day") return { freq: "daily" };
+  if (unit === "business day" || unit === "workday") return { freq: "daily", businessDays: true };
+  if (unit === "weekday") return { freq: "weekly", byWeekday: [1, 2, 3, 4, 5] };
+  if (unit === "weekend" || unit === "weekend day") return { freq: "weekly", byWeekday: [0, 6] };
+  if (unit === "week") return { freq: "weekly" };
+  if (unit === "month") return { freq: "monthly" };
+  if (unit === "year") return { freq: "yearly" };
+
+  // "monday", "mondays", "tuesday and thursday"
+  const weekdays = pattern
+    .split(/, (?:and )?| and /)
+    .map((day) => getWeekdayIndex(day.replace(/s$/, "")));
+  if (weekdays.every((weekday) => weekday !== -1)) {
+    return { freq: "weekly", byWeekday: weekdays };
+  }
+
+  // "3rd friday", "last monday of the month"
+  const weekdayOfMonthMatch = pattern.match(
+    /^(first|second|third|fourth|fifth|last|[1-5](?:st|nd|rd|th)) (\w+?)s?(?: of (?:the|every|each) month)?$/
+  );
+  if (weekdayOfMonthMatch && getWeekdayIndex(weekdayOfMonthMatch[2]) !== -1) {
+    return {
+      freq: "monthly",
+      byWeekday: [getWeekdayIndex(weekdayOfMonthMatch[2])],
+      bySetPos: parseOrdinal(weekdayOfMonthMatch[1]),
+    };
+  }
+
+  // "15th", "the 1st of the month", "month on the 15th", "last day of the month"
+  const dayOfMonthMatch = pattern.match(
+    /^(?:month on )?(?:the )?(\d{1,2}(?:st|nd|rd|th)|last day)(?: (?:day )?of (?:the|every|each) month)?$/
+  );
+  if (dayOfMonthMatch) {
+    const day = dayOfMonthMatch[1] === "last day" ? -1 : parseInt(dayOfMonthMatch[1], 10);
+    return day === -1 || (day >= 1 && day <= 31) ? { freq: "monthly", byMonthDay: day } : null;
+  }
+
+  // "march 1", "1st of march"
+  const monthDayMatch =
+    pattern.match(/^(\w+) (\d{1,2})(?:st|nd|rd|th)?$/) ||
+    pattern.match(/^(\d{1,2})(?:st|nd|rd|th)? (?:of )?(\w+)$/);
+  if (monthDayMatch) {
+    const [month, day] = /^\d/.test(monthDayMatch[1])
+      ? [monthDayMatch[2], monthDayMatch[1]]
+      : [monthDayMatch[1], monthDayMatch[2]];
+    const monthIndex = getMonthIndex(month);
+    if (monthIndex !== -1) {
+      return { freq: "yearly", byMonth: monthIndex, byMonthDay: parseInt(day, 10) };
+    }
   }
 
   return null;
 }
 
 /**
- * Parses date and time expressions like "Today at 8pm", "Tomorrow at 10:45", "Tuesday 22:00", "Mar 12 8am", "First weekday of next month 11am".
- * @param {string} expr - The date and time expression.
+ * Finds the next occurrence of a recurrence rule on or after the reference date.
+ * @param {RecurrenceRule} rule - The recurrence rule.
  * @param {Date} referenceDate - The reference date.
- * @returns {Date|null} - The combined Date object or null if parsing fails.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Date|null} - The next occurrence or null if there is none in the next few years.
+ */
+function getNextOccurrence(rule, referenceDate, options) {
+  const today = clearTime(referenceDate);
+  // Rules like "every month" repeat on the day of the month they start on
+  const anchor = rule.start || today;
+  const matchesPattern = (day) => matchesRecurrencePattern(rule, day, anchor, options);
+  const withTime = (day) =>
+    rule.time ? set(day, { ...rule.time, seconds: 0, milliseconds: 0 }) : day;
+
+  const first = findRecurrenceDay(anchor, matchesPattern);
+  if (!first) return null;
+  const next = findRecurrenceDay(
+    first > today ? first : today,
+    (day) =>
+      matchesPattern(day) &&
+      countRecurrencePeriods(rule, first, day, options) % rule.interval === 0 &&
+      withTime(day) >= (rule.time ? referenceDate : today)
+  );
+  return next && withTime(next);
+}
+
+/**
+ * Finds the first day on or after a date that matches a predicate.
+ * @param {Date} from - The first day to check.
+ * @param {function(Date): boolean} predicate - The predicate.
+ * @returns {Date|null} - The matching day or null if none of the next MAX_RECURRENCE_DAYS days match.
+ */
+function findRecurrenceDay(from, predicate) {
+  let day = from;
+  for (let i = 0; i < MAX_RECURRENCE_DAYS; i++, day = addDays(day, 1)) {
+    if (predicate(day)) return day;
+  }
+  return null;
+}
+
+/**
+ * Checks if a day matches the pattern of a recurrence rule, ignoring its interval.
+ * @param {RecurrenceRule} rule - The recurrence rule.
+ * @param {Date} day - The day to check.
+ * @param {Date} anchor - The day the rule starts on, which rules like "every month" repeat on.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {boolean}
+ */
+function matchesRecurrencePattern(rule, day, anchor, options) {
+  const matchesMonthDay = (monthDay) =>
+    monthDay === -1 ? isLastDayOfMonth(day) : day.getDate() === monthDay;
+  switch (rule.freq) {
+    case "daily":
+      return !rule.businessDays || isBusinessDay(day, options);
+    case "weekly":
+      return (rule.byWeekday || [anchor.getDay()]).includes(day.getDay());
+    case "monthly":
+      if (rule.bySetPos) {
+        const position =
+          rule.bySetPos > 0
+            ? Math.ceil(day.getDate() / 7)
+            : -Math.ceil((endOfMonth(day).getDate() - day.getDate() + 1) / 7);
+        return day.getDay() === rule.byWeekday[0] && position === rule.bySetPos;
+      }
+      return matchesMonthDay(rule.byMonthDay || anchor.getDate());
+    case "yearly":
+      return (
+        day.getMonth() === (rule.byMonth ?? anchor.getMonth()) &&
+        matchesMonthDay(rule.byMonthDay || anchor.getDate())
+      );
+    /* istanbul ignore next default */
+    default:
+      return false;
+  }
+}
+
+/**
+ * Counts the days, weeks, months or years of a recurrence rule between two days.
+ * @param {RecurrenceRule} rule - The recurrence rule.
+ * @param {Date} start - The first occurrence.
+ * @param {Date} day - A later day.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {number}
  */
-function parseDateTimeExpression(expr, referenceDate) {
-  // Example pattern: "Today at 8pm", "Tomorrow at 10:45", "Tuesday 22:00", "Mar 12 8am", "First weekday of next month 11am"
-  const compoundMatch = expr.match(
-    /^(.+?)\s+(?:at\s+)?(\d{1,2}:\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm))$/i
+function countRecurrencePeriods(rule, start, day, options) {
+  switch (rule.freq) {
+    case "daily":
+      return rule.businessDays
+        ? countBusinessDays(start, day, options)
+        : differenceInCalendarDays(day, start);
+    case "weekly":
+      return Math.round(
+        differenceInCalendarDays(
+          startOfWeek(day, { weekStartsOn: options.weekStartsOn }),
+          startOfWeek(start, { weekStartsOn: options.weekStartsOn })
+        ) / 7
+      );
+    case "monthly":
+      return (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+    case "yearly":
+      return day.getFullYear() - start.getFullYear();
+    /* istanbul ignore next default */
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Parses date differences like "Days until December 25", "Weeks since March 1 2026",
+ * "Business days between today and end of this month" or "Age since 1990-06-01".
+ * Both endpoints can be any date expression. Differences are counted in whole units.
+ * @param {string} expr - The date difference expression.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {number|null} - The difference or null if parsing fails.
+ */
+function parseDateDifference(expr, options) {
+  const unitPattern =
+    "((?:business|work(?:ing)?)\\s*days?|days?|weeks?|months?|quarters?|years?|hours?|minutes?|seconds?|age)";
+  const untilMatch = expr.match(
+    new RegExp(`^${unitPattern}\\s+(until|till|to|since)\\s+(.+)$`, "i")
   );
-  if (compoundMatch) {
-    const datePart = compoundMatch[1].trim();
-    const timePart = compoundMatch[2].trim();
-
-    const dateEval = parseDateExpression(datePart);
-    if (dateEval.success) {
-      const timeDate = parseTimeExpression(timePart, dateEval.date);
-      if (timeDate) {
-        // Ensure milliseconds are set to 0
-        return set(timeDate, { milliseconds: 0 });
+  const betweenMatch = expr.match(new RegExp(`^${unitPattern}\\s+between\\s+(.+)$`, "i"));
+
+  let start;
+  let end;
+  let unit;
+  if (untilMatch) {
+    unit = untilMatch[1];
+    const date = parseDateExpression(untilMatch[3], options);
+    if (!isDateResult(date)) return null;
+    const isSince = untilMatch[2].toLowerCase() === "since";
+    start = isSince ? date.date : options.now;
+    end = isSince ? options.now : date.date;
+  } else if (betweenMatch) {
+    unit = betweenMatch[1];
+    // Either endpoint could contain "and", so try every split until both sides are dates
+    const parts = betweenMatch[2].split(/\s+and\s+/i);
+    for (let i = 1; i < parts.length && !start; i++) {
+      const first = parseDateExpression(parts.slice(0, i).join(" and "), options);
+      const second = parseDateExpression(parts.slice(i).join(" and "), options);
+      if (isDateResult(first) && isDateResult(second)) {
+        start = first.date;
+        end = second.date;
       }
     }
+    if (!start) return null;
+  } else {
+    return null;
   }
 
-  return null;
+  switch (normalizeUnit(unit).replace(/s$/, "")) {
+    case "business day":
+      return countBusinessDays(start, end, options);
+    case "day":
+      return differenceInCalendarDays(end, start);
+    case "week":
+      return Math.trunc(differenceInCalendarDays(end, start) / 7);
+    case "month":
+      return differenceInMonths(clearTime(end), clearTime(start));
+    case "quarter":
+      return differenceInQuarters(clearTime(end), clearTime(start));
+    case "year":
+    case "age":
+      return differenceInYears(clearTime(end), clearTime(start));
+    case "hour":
+      return differenceInHours(end, start);
+    case "minute":
+      return differenceInMinutes(end, start);
+    case "second":
+      return differenceInSeconds(end, start);
+    /* istanbul ignore next default */
+    default:
+      return null;
+  }
 }
 
 /**
- * Parses mathematical expressions safely using esprima.
+ * Parses mathematical expressions safely with the math parser. Quantities with units, like "5 km",
+ * "10%" or "$12", are replaced by placeholders first (see preparseQuantities), and a trailing
+ * "in <unit>" converts the result.
  * @param {string} expr - The mathematical expression.
- * @returns {Object} - { success: boolean, value: number }
+ * @param {EvaluatorOptions} options - The resolved evaluator options, used for date differences.
+ * @returns {Object} - { success: boolean, value: number|Quantity, reason?: string } with the reason a math function call,
+ * unit conversion or expression of nothing but math failed.
  */
-function parseMathExpression(expr) {
+function parseMathExpression(expr, options) {
+  // Date differences in parentheses, like "(days until December 25) / 7", evaluate to their number
+  const mathExpression = expr.replace(/\(([^()]+)\)/g, (group, inner) => {
+    const difference = parseDateDifference(inner, options);
+    return difference === null ? group : `(${difference})`;
+  });
+  const { expression, quantities, targetUnit } = preparseQuantities(mathExpression);
   try {
-    const ast = esprima.parseScript(expr);
-    const result = evaluateAST(ast.body[0].expression);
-    if (typeof result === "number") {
+    let result = evaluateAST(parseMath(expression), quantities);
+    if (targetUnit) {
+      result = { ...convert(result, targetUnit), converted: true };
+    }
+    if (typeof result === "number" || isQuantity(result)) {
+      // Overflows like 10 ** 400 would insert "Infinity", and 10 ** 400 - 10 ** 400 "NaN"
+      const number = isQuantity(result) ? result.value : result;
+      if (!Number.isFinite(number)) {
+        const reason = isNaN(number)
+          ? "The result isn't a number"
+          : "The result is too large to show";
+        return { success: false, reason };
+      }
       return { success: true, value: result };
     } else {
       return { success: false };
     }
   } catch (error) {
-    return { success: false };
+    // Syntax errors are only explained for math as written, since other text in braces isn't math
+    const isReason =
+      error instanceof MathFunctionError ||
+      error instanceof QuantityError ||
+      (error instanceof MathSyntaxError && expression === expr && isMathText(expr));
+    return { success: false, reason: isReason ? error.message : null };
   }
 }
 
 /**
- * Evaluates Esprima AST nodes for safe mathematical computations.
+ * Checks if an expression is made of nothing but numbers, operators, parentheses and math functions,
+ * like "(1 + 2" or "round(3,)", rather than other text in braces like "3 $ 2".
+ * @param {string} expr - The expression.
+ * @returns {boolean}
+ */
+function isMathText(expr) {
+  return (
+    /\d/.test(expr) &&
+    /^[\d\s.+\-*/%(),a-z]*$/i.test(expr) &&
+    (expr.match(/[a-z]+/gi) || []).every((name) =>
+      Object.hasOwn(MATH_FUNCTIONS, name.toLowerCase())
+    )
+  );
+}
+
+/**
+ * Evaluates the nodes of the math parser for safe mathematical computations.
  * Supports basic arithmetic operations.
- * @param {Object} node - The AST node.
- * @returns {number}
+ * @param {MathNode} node - The AST node.
+ * @param {Object<string, Quantity>} [quantities] - The quantities by placeholder identifier.
+ * @returns {number|Quantity}
  */
-function evaluateAST(node) {
+function evaluateAST(node, quantities = {}) {
   switch (node.type) {
     case "Literal":
       return node.value;
     case "BinaryExpression":
-      const left = evaluateAST(node.left);
-      const right = evaluateAST(node.right);
+      const left = evaluateAST(node.left, quantities);
+      const right = evaluateAST(node.right, quantities);
       return applyOperator(node.operator, left, right);
     case "UnaryExpression":
-      const arg = evaluateAST(node.argument);
+      const arg = evaluateAST(node.argument, quantities);
       return applyUnaryOperator(node.operator, arg);
     case "Identifier":
-      return getConstant(node.name);
+      return Object.hasOwn(quantities, node.name) ? quantities[node.name] : getConstant(node.name);
     case "CallExpression":
-      return evaluateFunction(node);
+      return evaluateFunction(node, quantities);
     /* istanbul ignore next */
     default:
       throw new Error("Unsupported expression");
@@ -668,11 +2043,17 @@ function evaluateAST(node) {
 /**
  * Applies binary operators.
  * @param {string} operator - The operator (e.g., +, -, *, /, **).
- * @param {number} left - The left operand.
- * @param {number} right - The right operand.
- * @returns {number}
+ * @param {number|Quantity} left - The left operand.
+ * @param {number|Quantity} right - The right operand.
+ * @returns {number|Quantity}
  */
 function applyOperator(operator, left, right) {
+  if ((operator === "/" || operator === "%") && (isQuantity(right) ? right.value : right) === 0) {
+    throw new MathFunctionError("Division by zero");
+  }
+  if (isQuantity(left) || isQuantity(right)) {
+    return applyQuantityOperator(operator, left, right);
+  }
   switch (operator) {
     case "+":
       return left + right;
@@ -695,10 +2076,13 @@ function applyOperator(operator, left, right) {
 /**
  * Applies unary operators.
  * @param {string} operator - The unary operator (e.g., +, -).
- * @param {number} arg - The operand.
- * @returns {number}
+ * @param {number|Quantity} arg - The operand.
+ * @returns {number|Quantity}
  */
 function applyUnaryOperator(operator, arg) {
+  if (isQuantity(arg)) {
+    return operator === "-" ? negate(arg) : arg;
+  }
   switch (operator) {
     case "+":
       return +arg;
@@ -711,21 +2095,111 @@ function applyUnaryOperator(operator, arg) {
 }
 
 /**
- * Evaluates supported functions like pi, e, etc.
+ * An error in a math function call, like an unknown function, the wrong number of arguments or an
+ * argument outside the function's domain, or a division by zero.
+ * Its message is shown to the user as the reason the expression is unhandled.
+ */
+class MathFunctionError extends Error {}
+
+/**
+ * The whitelisted math functions, with the number of arguments each accepts.
+ * Functions without a maxArgs accept any number of arguments.
+ */
+const MATH_FUNCTIONS = Object.freeze({
+  pi: { minArgs: 0, maxArgs: 0, fn: () => Math.PI },
+  e: { minArgs: 0, maxArgs: 0, fn: () => Math.E },
+  sqrt: { minArgs: 1, maxArgs: 1, fn: Math.sqrt },
+  abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+  round: { minArgs: 1, maxArgs: 2, fn: roundTo },
+  floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+  ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+  min: { minArgs: 1, fn: Math.min },
+  max: { minArgs: 1, fn: Math.max },
+  sum: { minArgs: 1, fn: (...values) => values.reduce((total, value) => total + value, 0) },
+  avg: {
+    minArgs: 1,
+    fn: (...values) => values.reduce((total, value) => total + value, 0) / values.length,
+  },
+  log: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+  },
+  ln: { minArgs: 1, maxArgs: 1, fn: Math.log },
+  pow: { minArgs: 2, maxArgs: 2, fn: Math.pow },
+  sin: { minArgs: 1, maxArgs: 1, fn: Math.sin },
+  cos: { minArgs: 1, maxArgs: 1, fn: Math.cos },
+  tan: { minArgs: 1, maxArgs: 1, fn: Math.tan },
+  asin: { minArgs: 1, maxArgs: 1, fn: Math.asin },
+  acos: { minArgs: 1, maxArgs: 1, fn: Math.acos },
+  atan: { minArgs: 1, maxArgs: 1, fn: Math.atan },
+});
+
+/**
+ * Rounds a number to a number of decimal digits, or to tens, hundreds etc. with negative digits.
+ * @param {number} value - The number to round.
+ * @param {number} [digits] - The number of decimal digits, defaults to 0.
+ * @returns {number}
+ */
+function roundTo(value, digits = 0) {
+  if (!Number.isInteger(digits)) {
+    throw new MathFunctionError("round() needs a whole number of digits");
+  }
+  // Round in exponential notation so values like 1.005 round up as written
+  return shiftDecimal(Math.round(shiftDecimal(value, digits)), -digits);
+}
+
+/**
+ * Moves the decimal point of a number as written, e.g. 1.005 by 2 digits is exactly 100.5.
+ * @param {number} value - The number, which may be written in exponential notation like 1e-7.
+ * @param {number} digits - The digits to move the decimal point to the right, or left if negative.
+ * @returns {number}
+ */
+function shiftDecimal(value, digits) {
+  const [mantissa, exponent = "0"] = String(value).split("e");
+  return Number(`${mantissa}e${Number(exponent) + digits}`);
+}
+
+/**
+ * Evaluates the whitelisted math functions like sqrt, round, min, etc.
  * @param {Object} node - The CallExpression AST node.
+ * @param {Object<string, Quantity>} quantities - The quantities by placeholder identifier.
  * @returns {number}
  */
-function evaluateFunction(node) {
-  if (node.callee.type === "Identifier") {
-    const funcName = node.callee.name.toLowerCase();
-    if (funcName === "pi") {
-      return Math.PI;
-    }
-    if (funcName === "e") {
-      return Math.E;
-    }
+function evaluateFunction(node, quantities) {
+  const funcName = node.callee.type === "Identifier" ? node.callee.name.toLowerCase() : null;
+  const mathFunction =
+    funcName && Object.hasOwn(MATH_FUNCTIONS, funcName) && MATH_FUNCTIONS[funcName];
+  if (!mathFunction) {
+    throw new MathFunctionError(
+      funcName ? `Unknown function ${funcName}()` : "Unsupported function call"
+    );
+  }
+
+  const { minArgs, maxArgs = Infinity, fn } = mathFunction;
+  const argCount = node.arguments.length;
+  if (argCount < minArgs || argCount > maxArgs) {
+    const expected =
+      minArgs === maxArgs
+        ? `${minArgs}`
+        : maxArgs === Infinity
+          ? `at least ${minArgs}`
+          : `${minArgs} to ${maxArgs}`;
+    const plural = (maxArgs === Infinity ? minArgs : maxArgs) === 1 ? "" : "s";
+    throw new MathFunctionError(
+      `${funcName}() takes ${expected} argument${plural}, got ${argCount}`
+    );
   }
-  throw new Error("Unsupported function");
+  const args = node.arguments.map((argument) => evaluateAST(argument, quantities));
+  if (args.some(isQuantity)) {
+    throw new QuantityError(`${funcName}() only takes numbers without units`);
+  }
+  // Arguments outside the domain, like sqrt(-1) or log(0), would insert "NaN" or "-Infinity"
+  const result = fn(...args);
+  if (!Number.isFinite(result) && args.every(Number.isFinite)) {
+    throw new MathFunctionError(`${funcName}() isn't defined for ${args.join(", ")}`);
+  }
+  return result;
 }
 
 /**
@@ -738,7 +2212,7 @@ function getConstant(name) {
     pi: Math.PI,
     e: Math.E,
   };
-  if (constants[name.toLowerCase()] !== undefined) {
+  if (Object.hasOwn(constants, name.toLowerCase())) {
     return constants[name.toLowerCase()];
   }
   throw new Error("Unknown identifier");
@@ -794,6 +2268,25 @@ function getWeekdayIndex(day) {
   return index;
 }
 
+/**
+ * Checks if an expression is a month name like "March", optionally with a year like "March 2027".
+ * @param {string} [expr] - The expression.
+ * @returns {boolean}
+ */
+function isMonthName(expr) {
+  const monthMatch = expr && expr.trim().match(/^([a-z]+)(?:,?\s+\d{4})?$/i);
+  return Boolean(monthMatch) && getMonthIndex(monthMatch[1]) !== -1;
+}
+
+/**
+ * Converts ordinals like "3rd", "third" or "last" to their position.
+ * @param {string} ordinal - The ordinal.
+ * @returns {number} - The position, or -1 for "last".
+ */
+function parseOrdinal(ordinal) {
+  return ORDINAL_WORDS[ordinal.toLowerCase()] ?? parseInt(ordinal, 10);
+}
+
 /**
  * Gets the next specified weekday from a reference date.
  * @param {Date} referenceDate - The date from which to find the next weekday.
@@ -813,23 +2306,28 @@ function nextWeekday(referenceDate, weekday) {
  * Retrieves the date of the specified weekday within the current week.
  * @param {Date} referenceDate - The date from which to calculate.
  * @param {number} targetWeekday - The target weekday (0 for Sunday, ..., 6 for Saturday).
+ * @param {number} weekStartsOn - The first day of the week (0 for Sunday, ..., 6 for Saturday).
  * @returns {Date} - The date of the target weekday within the current week.
  */
-function getCurrentWeekday(referenceDate, targetWeekday) {
-  const date = new Date(referenceDate);
-  const currentDay = date.getDay();
-  let diff = currentDay - targetWeekday;
-
-  // If targetWeekday is after the current day, subtract (currentDay + (7 - targetWeekday))
-  // if (diff < 0) {
-  //   diff += 7;
-  // }
-
-  date.setDate(date.getDate() - diff);
+function getCurrentWeekday(referenceDate, targetWeekday, weekStartsOn = 0) {
+  const date = addDays(
+    startOfWeek(referenceDate, { weekStartsOn }),
+    weekdayOffset(targetWeekday, weekStartsOn)
+  );
   // Set time to start of day
   return clearTime(date);
 }
 
+/**
+ * Gets how many days into the week a weekday falls.
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday).
+ * @param {number} weekStartsOn - The first day of the week (0 for Sunday, ..., 6 for Saturday).
+ * @returns {number} - 0 for the first day of the week to 6 for the last.
+ */
+function weekdayOffset(weekday, weekStartsOn) {
+  return (weekday - weekStartsOn + 7) % 7;
+}
+
 /**
  * Gets the previous specified weekday from a reference date.
  * @param {Date} referenceDate - The date from which to find the previous weekday.
@@ -919,15 +2417,81 @@ function hasTime(dateTime) {
   return hours > 0 || minutes > 0 || seconds > 0 || milliseconds || 0;
 }
 
+/**
+ * Normalizes a unit, mapping the "workday" and "working day" synonyms to "business day".
+ * @param {string} unit - The unit as written, e.g. "Work days".
+ * @returns {string} - The lower case unit, e.g. "business days".
+ */
+function normalizeUnit(unit) {
+  return unit
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/^(?:business|work(?:ing)?) ?(days?)$/, "business $1");
+}
+
+/**
+ * Checks if a date is a business day, i.e. neither a weekend nor a holiday.
+ * @param {Date} date - The date to check.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {boolean}
+ */
+function isBusinessDay(date, options) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6 && !options.holidays.has(format(date, "yyyy-MM-dd"));
+}
+
+/**
+ * Adds business days to a date, skipping weekends and holidays.
+ * Starting on a non-business day, one business day later is the next business day.
+ * @param {Date} date - The original date.
+ * @param {number} value - The number of business days to add, negative to go back.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {Date} - The updated date, keeping the time of the original date.
+ */
+function addBusinessDays(date, value, options) {
+  const step = value < 0 ? -1 : 1;
+  let remaining = Math.abs(value);
+  let result = new Date(date);
+  while (remaining > 0) {
+    result = addDays(result, step);
+    if (isBusinessDay(result, options)) remaining--;
+  }
+  return result;
+}
+
+/**
+ * Counts the business days after the earlier date up to and including the later date.
+ * @param {Date} start - The start date.
+ * @param {Date} end - The end date.
+ * @param {EvaluatorOptions} options - The resolved evaluator options.
+ * @returns {number} - The number of business days, negative if the end is before the start.
+ */
+function countBusinessDays(start, end, options) {
+  const step = end < start ? -1 : 1;
+  const last = clearTime(end);
+  let count = 0;
+  let day = clearTime(start);
+  while (day.getTime() !== last.getTime()) {
+    day = addDays(day, step);
+    // Going back, count the days after the end date up to the start date so the count is symmetric
+    if (isBusinessDay(step > 0 ? day : addDays(day, 1), options)) count += step;
+  }
+  return count;
+}
+
 /**
  * Adds time to a date based on unit.
  * @param {Date} date - The original date.
  * @param {number} value - The value to add.
- * @param {string} unit - The unit of time (e.g., "day", "week").
+ * @param {string} unit - The unit of time (e.g., "day", "week", "business days").
+ * @param {EvaluatorOptions} [options] - The resolved evaluator options, used for business days.
  * @returns {Date|null} - The updated date or null if unit is invalid.
  */
-function addTime(date, value, unit) {
-  switch (unit) {
+function addTime(date, value, unit, options) {
+  switch (normalizeUnit(unit)) {
+    case "business day":
+    case "business days":
+      return addBusinessDays(date, value, options);
     case "day":
     case "days":
       return addDays(date, value);
@@ -938,6 +2502,9 @@ function addTime(date, value, unit) {
     case "month":
     case "months":
       return addMonths(date, value);
+    case "quarter":
+    case "quarters":
+      return addQuarters(date, value);
     case "year":
     case "years":
       return addYears(date, value);
@@ -960,11 +2527,15 @@ function addTime(date, value, unit) {
  * Subtracts time from a date based on unit.
  * @param {Date} date - The original date.
  * @param {number} value - The value to subtract.
- * @param {string} unit - The unit of time (e.g., "day", "week").
+ * @param {string} unit - The unit of time (e.g., "day", "week", "business days").
+ * @param {EvaluatorOptions} [options] - The resolved evaluator options, used for business days.
  * @returns {Date|null} - The updated date or null if unit is invalid.
  */
-function subtractTime(date, value, unit) {
-  switch (unit) {
+function subtractTime(date, value, unit, options) {
+  switch (normalizeUnit(unit)) {
+    case "business day":
+    case "business days":
+      return addBusinessDays(date, -value, options);
     case "day":
     case "days":
       return subDays(date, value);
@@ -975,6 +2546,9 @@ function subtractTime(date, value, unit) {
     case "month":
     case "months":
       return subMonths(date, value);
+    case "quarter":
+    case "quarters":
+      return subQuarters(date, value);
     case "year":
     case "years":
       return subYears(date, value);
@@ -3,7 +3,12 @@ import { jest } from "@jest/globals";
 import MockDate from "mockdate";
 import { addMonths, addDays, addWeeks, subDays, endOfMonth, set } from "date-fns";
 
-import { evaluateExpression } from "./evaluator.js";
+import {
+  evaluateExpression,
+  getExpressionHandlers,
+  registerExpressionHandler,
+  unregisterExpressionHandler,
+} from "./evaluator.js";
 
 // Helper function to create Date objects in local time zone
 const createLocalDate = (year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) => {
@@ -71,6 +76,16 @@ describe("evaluateExpression", () => {
       expect(evaluateExpression("{pi() * 10**2}")).toEqual(expected);
     });
 
+    test("should multiply numbers and parentheses implicitly {2pi}, {2(3 + 4)}", () => {
+      expect(evaluateExpression("{2pi}")).toEqual({ type: "math", result: 2 * Math.PI });
+      expect(evaluateExpression("{2(3 + 4)}")).toEqual({ type: "math", result: 14 });
+      expect(evaluateExpression("{(1 + 2)(3 + 4)}")).toEqual({ type: "math", result: 21 });
+    });
+
+    test("should raise to powers before signs {-2**2}", () => {
+      expect(evaluateExpression("{-2**2}")).toEqual({ type: "math", result: -4 });
+    });
+
     test("should evaluate expression with e {e**2}", () => {
       const expected = { type: "math", result: Math.pow(Math.E, 2) };
       expect(evaluateExpression("{e**2}")).toEqual(expected);
@@ -99,6 +114,145 @@ describe("evaluateExpression", () => {
     });
   });
 
+  describe("Math Functions", () => {
+    test.each([
+      ["{sqrt(16)}", 4],
+      ["{abs(-3)}", 3],
+      ["{round(2.5)}", 3],
+      ["{round(1.005, 2)}", 1.01],
+      ["{round(1234, -2)}", 1200],
+      ["{round(0.0000001, 2)}", 0],
+      ["{round(0.00000123, 7)}", 0.0000012],
+      ["{round(1e21, 2)}", 1e21],
+      ["{floor(2.7)}", 2],
+      ["{ceil(2.1)}", 3],
+      ["{min(3, 1, 2)}", 1],
+      ["{max(3, 1, 2)}", 3],
+      ["{sum(1, 2, 3)}", 6],
+      ["{avg(2, 4, 9)}", 5],
+      ["{log(1000)}", 3],
+      ["{log(8, 2)}", 3],
+      ["{ln(e)}", 1],
+      ["{pow(2, 10)}", 1024],
+      ["{sin(pi/2)}", 1],
+      ["{cos(0)}", 1],
+      ["{atan(1) * 4}", Math.PI],
+    ])("should evaluate %s", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "math", result: expected });
+    });
+
+    test("should ignore case and combine functions", () => {
+      expect(evaluateExpression("{ROUND(Max(1.234, 2.345) * 2, 1)}")).toEqual({
+        type: "math",
+        result: 4.7,
+      });
+    });
+
+    test("should mark calls with the wrong number of arguments as unhandled", () => {
+      expect(evaluateExpression("{round(1, 2, 3)}")).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: "round() takes 1 to 2 arguments, got 3",
+      });
+      expect(evaluateExpression("{sqrt()}").reason).toBe("sqrt() takes 1 argument, got 0");
+      expect(evaluateExpression("{max()}").reason).toBe("max() takes at least 1 argument, got 0");
+      expect(evaluateExpression("{pi(2)}").reason).toBe("pi() takes 0 arguments, got 1");
+    });
+
+    test("should mark unknown functions as unhandled", () => {
+      expect(evaluateExpression("{Math.max(1, 2)}")).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: "Unsupported function call",
+      });
+      expect(evaluateExpression("{constructor(1)}").reason).toBe("Unknown function constructor()");
+      expect(evaluateExpression("{round(1, 0.5)}").reason).toBe(
+        "round() needs a whole number of digits"
+      );
+    });
+
+    test.each([
+      ["{sqrt(-1)}", "sqrt() isn't defined for -1"],
+      ["{log(-1)}", "log() isn't defined for -1"],
+      ["{ln(0)}", "ln() isn't defined for 0"],
+      ["{1/0}", "Division by zero"],
+      ["{5 % 0}", "Division by zero"],
+      ["{5 km / 0}", "Division by zero"],
+      ["{10 ** 400}", "The result is too large to show"],
+      ["{10 ** 400 - 10 ** 400}", "The result isn't a number"],
+    ])("should mark %s without a finite result as unhandled", (input, reason) => {
+      expect(evaluateExpression(input)).toEqual({ type: "unhandled", result: null, reason });
+    });
+
+    test("should not read object keys as constants {2 * constructor}", () => {
+      expect(evaluateExpression("{2 * constructor}")).toEqual({ type: "unhandled", result: null });
+    });
+  });
+
+  describe("Quantities", () => {
+    test.each([
+      ["{15% of 80}", 12],
+      ["{200 + 10%}", 220],
+      ["{200 - 10%}", 180],
+      ["{80 * 10%}", 8],
+      ["{(2h 30m) / 30m}", 5],
+    ])("should evaluate %s to a number", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "math", result: expected });
+    });
+
+    test.each([
+      ["{3 hours * 4}", { value: 12, unit: "h" }],
+      ["{2h 30m + 45m}", { value: 3.25, unit: "h" }],
+      ["{150 minutes in hours}", { value: 2.5, unit: "h", converted: true }],
+      ["{5 ft 3 inches in cm}", { value: 160.02, unit: "cm", converted: true }],
+      ["{$12.50 * 3}", { value: 37.5, unit: "USD" }],
+      ["{15% of $80}", { value: 12, unit: "USD" }],
+      ["{10 dollars - 2}", { value: 8, unit: "USD" }],
+      ["{10% + 5%}", { value: 15, unit: "%" }],
+      ["{5 m}", { value: 5, unit: "m" }],
+      ["{2 days}", { value: 2, unit: "d" }],
+    ])("should evaluate %s to a quantity", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "quantity", result: expected });
+    });
+
+    test("should convert meters {5 m in ft}", () => {
+      const { type, result } = evaluateExpression("{5 m in ft}");
+      expect(type).toBe("quantity");
+      expect(result.unit).toBe("ft");
+      expect(result.value).toBeCloseTo(16.4042);
+    });
+
+    test("should convert units {5 km in miles}", () => {
+      const { type, result } = evaluateExpression("{5 km in miles}");
+      expect(type).toBe("quantity");
+      expect(result.unit).toBe("mi");
+      expect(result.value).toBeCloseTo(3.10686);
+    });
+
+    test("should format quantities with a number format", () => {
+      expect(evaluateExpression('{"0.00":5 km in miles}')).toEqual({
+        type: "formattedNumber",
+        result: "3.11 mi",
+      });
+      expect(evaluateExpression('{"#,##0":$1234.5 * 2}')).toEqual({
+        type: "formattedNumber",
+        result: "$2,469",
+      });
+    });
+
+    test("should mark incompatible units as unhandled", () => {
+      expect(evaluateExpression("{5 km + 2 h}")).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: "Can't convert h to km",
+      });
+      expect(evaluateExpression("{€5 + $3}").reason).toBe("Can't convert USD to EUR");
+      expect(evaluateExpression("{sqrt(4 km)}").reason).toBe(
+        "sqrt() only takes numbers without units"
+      );
+    });
+  });
+
   describe("Date Expressions", () => {
     test("should evaluate {Today}", () => {
       const input = "{Today}";
@@ -869,6 +1023,1187 @@ describe("evaluateExpression", () => {
       const expected = { type: "formattedDate", result: "2024/03/31" };
       expect(evaluateExpression(input)).toEqual(expected);
     });
+
+    test.each([
+      ['{"relative":next friday}', "in 6 days"],
+      ['{"relative":in 3 hours}', "in 3 hours"],
+      ['{"Relative":yesterday}', "yesterday"],
+      ['{"ago":March 1}', "1 month ago"],
+      ['{"ago":10 minutes ago}', "10 minutes ago"],
+      ['{"calendar":tomorrow at 9am}', "Tomorrow at 9:00 AM"],
+      ['{"calendar":last monday}', "Last Monday"],
+      ['{"calendar":May 20}', "May 20th, 2024"],
+      ['{"iso":tomorrow}', "2024-04-28"],
+      ['{"iso":tomorrow at 9am}', "2024-04-28T09:00:00Z"],
+      ['{"unix":tomorrow at 9am}', "1714294800"],
+    ])("should evaluate named format %s", (input, result) => {
+      expect(evaluateExpression(input)).toEqual({ type: "formattedDate", result });
+    });
+
+    test("should measure named formats from the reference date", () => {
+      const now = createLocalDate(2024, 10, 19, 10, 0);
+      expect(evaluateExpression('{"ago":March 1}', { now }).result).toBe("7 months ago");
+    });
+  });
+
+  describe("Number Format Specifier", () => {
+    test.each([
+      ['{"0.00":10/3}', "3.33"],
+      ['{"#,##0":1234567.8}', "1,234,568"],
+      ['{"$#,##0.00":1234.5}', "$1,234.50"],
+      ['{"%":0.25}', "25%"],
+      ['{"0.0%":1/3}', "33.3%"],
+      ['{"words":6*7}', "forty-two"],
+      ['{"ordinal":3}', "3rd"],
+      ['{"ordinal":week number}', "17th"],
+      ['{"0 days":days until Christmas}', "242 days"],
+      ['{"$#,##0.00":$1234.5}', "$1,234.50"],
+      ['{"%":50%}', "50%"],
+      ['{"0.0%":12.5%}', "12.5%"],
+      ['{"0.0":50%}', "50.0%"],
+      ['{"words":3 hours}', "three hours"],
+      ['{"words":1 mile}', "one mile"],
+    ])("should evaluate %s", (input, result) => {
+      expect(evaluateExpression(input)).toEqual({ type: "formattedNumber", result });
+    });
+
+    test('should not handle {"ordinal":2.5}', () => {
+      expect(evaluateExpression('{"ordinal":2.5}')).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: 'Can\'t format 2.5 as "ordinal"',
+      });
+    });
+
+    test("should not handle patterns with more digits than can be shown", () => {
+      const pattern = "0".repeat(22);
+      expect(evaluateExpression(`{"${pattern}":1}`)).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: `Can't format 1 as "${pattern}"`,
+      });
+    });
+
+    test('should read {"HH:00":now} as a date format', () => {
+      expect(evaluateExpression('{"HH:00":now}')).toEqual({
+        type: "formattedDate",
+        result: "10:00",
+      });
+    });
+  });
+
+  describe("Reference Date Option", () => {
+    // Sunday, January 15, 2023, 08:30:00 AM
+    const now = createLocalDate(2023, 1, 15, 8, 30, 0, 0);
+
+    test("should evaluate {Today} and {Tomorrow} as of the given date", () => {
+      expect(evaluateExpression("{Today}", { now })).toEqual({
+        type: "date",
+        result: createLocalDate(2023, 1, 15),
+      });
+      expect(evaluateExpression("{Tomorrow}", { now })).toEqual({
+        type: "date",
+        result: createLocalDate(2023, 1, 16),
+      });
+    });
+
+    test("should evaluate {Now} as the given date and time", () => {
+      expect(evaluateExpression("{Now}", { now })).toEqual({ type: "time", result: now });
+    });
+
+    test("should evaluate relative and compound expressions as of the given date", () => {
+      expect(evaluateExpression("{Monday of Last Week}", { now }).result).toEqual(
+        createLocalDate(2023, 1, 9)
+      );
+      expect(evaluateExpression("{In 3 hours}", { now }).result).toEqual(
+        createLocalDate(2023, 1, 15, 11, 30)
+      );
+      expect(evaluateExpression("{2 days after Tuesday of Next Week}", { now }).result).toEqual(
+        createLocalDate(2023, 1, 26)
+      );
+      expect(evaluateExpression("{Last Weekday of Next Month at 5pm}", { now })).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2023, 2, 28, 17),
+      });
+      expect(evaluateExpression('{"yyyy-MM-dd":End of this month}', { now })).toEqual({
+        type: "formattedDate",
+        result: "2023-01-31",
+      });
+    });
+
+    test("should not modify the given date", () => {
+      const reference = new Date(now);
+      evaluateExpression("{Next month}", { now: reference });
+      expect(reference).toEqual(now);
+    });
+  });
+
+  describe("Week Start Option", () => {
+    // Reference date is Saturday, April 27, 2024
+    const weekStartCases = [
+      // [input, Sunday start (default), Monday start]
+      ["{This Week}", createLocalDate(2024, 4, 21), createLocalDate(2024, 4, 22)],
+      ["{Beginning of this week}", createLocalDate(2024, 4, 21), createLocalDate(2024, 4, 22)],
+      ["{Beginning of week}", createLocalDate(2024, 4, 21), createLocalDate(2024, 4, 22)],
+      ["{Beginning of last week}", createLocalDate(2024, 4, 14), createLocalDate(2024, 4, 15)],
+      ["{Beginning of next week}", createLocalDate(2024, 4, 28), createLocalDate(2024, 4, 29)],
+      [
+        "{End of this week}",
+        createLocalDate(2024, 4, 27, 23, 59, 59, 999),
+        createLocalDate(2024, 4, 28, 23, 59, 59, 999),
+      ],
+      [
+        "{End of last week}",
+        createLocalDate(2024, 4, 20, 23, 59, 59, 999),
+        createLocalDate(2024, 4, 21, 23, 59, 59, 999),
+      ],
+      [
+        "{End of next week}",
+        createLocalDate(2024, 5, 4, 23, 59, 59, 999),
+        createLocalDate(2024, 5, 5, 23, 59, 59, 999),
+      ],
+      ["{Monday of last week}", createLocalDate(2024, 4, 15), createLocalDate(2024, 4, 15)],
+      ["{Sunday of last week}", createLocalDate(2024, 4, 14), createLocalDate(2024, 4, 21)],
+      ["{Monday of next week}", createLocalDate(2024, 4, 29), createLocalDate(2024, 4, 29)],
+      ["{Sunday of next week}", createLocalDate(2024, 4, 28), createLocalDate(2024, 5, 5)],
+      ["{Monday}", createLocalDate(2024, 4, 22), createLocalDate(2024, 4, 22)],
+      ["{Sunday}", createLocalDate(2024, 4, 21), createLocalDate(2024, 4, 28)],
+    ];
+
+    test.each(weekStartCases)(
+      "should evaluate %s with weeks starting on Sunday or Monday",
+      (input, sundayStartDate, mondayStartDate) => {
+        expect(evaluateExpression(input).result).toEqual(sundayStartDate);
+        expect(evaluateExpression(input, { weekStartsOn: 0 }).result).toEqual(sundayStartDate);
+        expect(evaluateExpression(input, { weekStartsOn: 1 }).result).toEqual(mondayStartDate);
+        expect(evaluateExpression(input, { weekStartsOn: "Monday" }).result).toEqual(
+          mondayStartDate
+        );
+      }
+    );
+
+    test("should keep a Sunday in the previous Monday-based week", () => {
+      const now = createLocalDate(2024, 4, 28, 10); // Sunday
+      const options = { now, weekStartsOn: 1 };
+      expect(evaluateExpression("{This Week}", options).result).toEqual(
+        createLocalDate(2024, 4, 22)
+      );
+      expect(evaluateExpression("{Monday of next week}", options).result).toEqual(
+        createLocalDate(2024, 4, 29)
+      );
+      expect(evaluateExpression("{Saturday}", options).result).toEqual(
+        createLocalDate(2024, 4, 27)
+      );
+    });
+
+    test("should fall back to Sunday for an invalid week start", () => {
+      expect(evaluateExpression("{This Week}", { weekStartsOn: "Funday" }).result).toEqual(
+        createLocalDate(2024, 4, 21)
+      );
+    });
+  });
+
+  describe("ISO Week Expressions", () => {
+    // Reference date is Saturday, April 27, 2024, in ISO week 17
+    test("should evaluate week numbers", () => {
+      expect(evaluateExpression("{This week number}")).toEqual({ type: "weekNumber", result: 17 });
+      expect(evaluateExpression("{Week number}")).toEqual({ type: "weekNumber", result: 17 });
+      expect(evaluateExpression("{Next week number}")).toEqual({ type: "weekNumber", result: 18 });
+      expect(evaluateExpression("{Last week number}")).toEqual({ type: "weekNumber", result: 16 });
+      expect(evaluateExpression("{Week number of next week}")).toEqual({
+        type: "weekNumber",
+        result: 18,
+      });
+      expect(evaluateExpression("{ISO week number of End of March}")).toEqual({
+        type: "weekNumber",
+        result: 13,
+      });
+    });
+
+    test("should evaluate {Week 42} to the Monday of that week", () => {
+      expect(evaluateExpression("{Week 42}")).toEqual({
+        type: "date",
+        result: createLocalDate(2024, 10, 14),
+      });
+    });
+
+    test("should evaluate weekdays of week numbers", () => {
+      expect(evaluateExpression("{Monday of week 12}").result).toEqual(
+        createLocalDate(2024, 3, 18)
+      );
+      expect(evaluateExpression("{Sunday of week 12}").result).toEqual(
+        createLocalDate(2024, 3, 24)
+      );
+    });
+
+    test("should evaluate week numbers of other years", () => {
+      expect(evaluateExpression("{Week 3 of 2027}").result).toEqual(createLocalDate(2027, 1, 18));
+      expect(evaluateExpression("{Week 3 2027}").result).toEqual(createLocalDate(2027, 1, 18));
+      expect(evaluateExpression("{2027-W03}").result).toEqual(createLocalDate(2027, 1, 18));
+      expect(evaluateExpression("{2027-W03-7}").result).toEqual(createLocalDate(2027, 1, 24));
+      // Week 1 of 2026 starts in the previous calendar year
+      expect(evaluateExpression("{Week 1 of 2026}").result).toEqual(createLocalDate(2025, 12, 29));
+    });
+
+    test("should evaluate relative ISO weeks", () => {
+      expect(evaluateExpression("{Next ISO week}").result).toEqual(createLocalDate(2024, 4, 29));
+      expect(evaluateExpression("{This ISO week}").result).toEqual(createLocalDate(2024, 4, 22));
+      expect(evaluateExpression("{Last ISO week}").result).toEqual(createLocalDate(2024, 4, 15));
+    });
+
+    test("should respect ISO year boundaries", () => {
+      // Monday, December 30, 2024 is in week 1 of 2025
+      const now = createLocalDate(2024, 12, 30, 10);
+      expect(evaluateExpression("{This week number}", { now }).result).toBe(1);
+      expect(evaluateExpression("{Week 2}", { now }).result).toEqual(createLocalDate(2025, 1, 6));
+      // Friday, January 1, 2021 is in week 53 of 2020
+      const newYear = createLocalDate(2021, 1, 1, 10);
+      expect(evaluateExpression("{Week number}", { now: newYear }).result).toBe(53);
+      expect(evaluateExpression("{\"RRRR-'W'II\":Today}", { now: newYear }).result).toBe(
+        "2020-W53"
+      );
+    });
+
+    test("should combine weeks with compound and time expressions", () => {
+      expect(evaluateExpression("{2 days after week 42}").result).toEqual(
+        createLocalDate(2024, 10, 16)
+      );
+      expect(evaluateExpression("{Monday of week 12 at 9am}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 3, 18, 9),
+      });
+    });
+
+    test("should format week expressions with date format specifiers", () => {
+      expect(evaluateExpression("{\"RRRR-'W'II\":Today}")).toEqual({
+        type: "formattedDate",
+        result: "2024-W17",
+      });
+      expect(evaluateExpression("{\"RRRR-'W'II\":Week number of next week}")).toEqual({
+        type: "formattedDate",
+        result: "2024-W18",
+      });
+    });
+
+    test("should mark nonexistent weeks as unhandled", () => {
+      expect(evaluateExpression("{Week 53}").type).toBe("unhandled");
+      expect(evaluateExpression("{Week 0 of 2027}").type).toBe("unhandled");
+      expect(evaluateExpression("{2 days after week number}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Quarter and Fiscal Year Expressions", () => {
+    // Reference date is Saturday, April 27, 2024, in Q2
+    test("should evaluate relative quarters", () => {
+      expect(evaluateExpression("{This quarter}").result).toEqual(createLocalDate(2024, 4, 1));
+      expect(evaluateExpression("{Next quarter}").result).toEqual(createLocalDate(2024, 7, 1));
+      expect(evaluateExpression("{Last quarter}").result).toEqual(createLocalDate(2024, 1, 1));
+      expect(evaluateExpression("{Beginning of next quarter}").result).toEqual(
+        createLocalDate(2024, 7, 1)
+      );
+    });
+
+    test("should evaluate the end of a quarter as its last moment", () => {
+      expect(evaluateExpression("{End of this quarter}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 6, 30, 23, 59, 59, 999),
+      });
+      // Like {End of March}, named quarters evaluate to dates
+      expect(evaluateExpression("{End of Q3}").result).toEqual(
+        createLocalDate(2024, 9, 30, 23, 59, 59, 999)
+      );
+    });
+
+    test("should evaluate named quarters", () => {
+      expect(evaluateExpression("{Q3}").result).toEqual(createLocalDate(2024, 7, 1));
+      expect(evaluateExpression("{Beginning of Q3}").result).toEqual(createLocalDate(2024, 7, 1));
+      expect(evaluateExpression("{Q2 2027}").result).toEqual(createLocalDate(2027, 4, 1));
+      expect(evaluateExpression("{Q4 of 2025}").result).toEqual(createLocalDate(2025, 10, 1));
+    });
+
+    test("should evaluate weekdays of quarters", () => {
+      expect(evaluateExpression("{First Monday of next quarter}").result).toEqual(
+        createLocalDate(2024, 7, 1)
+      );
+      expect(evaluateExpression("{Last Friday of next quarter}").result).toEqual(
+        createLocalDate(2024, 9, 27)
+      );
+      expect(evaluateExpression("{Last weekday of this quarter}").result).toEqual(
+        createLocalDate(2024, 6, 28)
+      );
+    });
+
+    test("should evaluate quarter durations", () => {
+      expect(evaluateExpression("{In 2 quarters}").result).toEqual(createLocalDate(2024, 10, 27));
+      expect(evaluateExpression("{A quarter ago}").result).toEqual(createLocalDate(2024, 1, 27));
+    });
+
+    test("should align fiscal periods to the fiscal year start month", () => {
+      const options = { fiscalYearStartMonth: "October" };
+      expect(evaluateExpression("{This fiscal year}", options).result).toEqual(
+        createLocalDate(2023, 10, 1)
+      );
+      expect(evaluateExpression("{End of this fiscal year}", options).result).toEqual(
+        createLocalDate(2024, 9, 30, 23, 59, 59, 999)
+      );
+      expect(evaluateExpression("{This fiscal quarter}", options).result).toEqual(
+        createLocalDate(2024, 4, 1)
+      );
+      expect(evaluateExpression("{Next fiscal quarter}", options).result).toEqual(
+        createLocalDate(2024, 7, 1)
+      );
+    });
+
+    test("should evaluate fiscal years and quarters by label", () => {
+      // FY27 starting in October runs from October 1, 2026 to September 30, 2027
+      const options = { fiscalYearStartMonth: 9 };
+      expect(evaluateExpression("{FY27}", options).result).toEqual(createLocalDate(2026, 10, 1));
+      expect(evaluateExpression("{FY27 Q3}", options).result).toEqual(createLocalDate(2027, 4, 1));
+      expect(evaluateExpression("{Q2 FY2025}", options).result).toEqual(
+        createLocalDate(2025, 1, 1)
+      );
+      expect(evaluateExpression("{End of FY27 Q1}", options).result).toEqual(
+        createLocalDate(2026, 12, 31, 23, 59, 59, 999)
+      );
+    });
+
+    test("should default fiscal years to the calendar year", () => {
+      expect(evaluateExpression("{FY27 Q1}").result).toEqual(createLocalDate(2027, 1, 1));
+      expect(evaluateExpression("{This fiscal year}").result).toEqual(createLocalDate(2024, 1, 1));
+    });
+  });
+
+  describe("Business Day Expressions", () => {
+    // Reference date is Saturday, April 27, 2024
+    test("should skip weekends", () => {
+      expect(evaluateExpression("{In 5 business days}").result).toEqual(
+        createLocalDate(2024, 5, 3)
+      );
+      expect(evaluateExpression("{3 workdays after Friday}").result).toEqual(
+        createLocalDate(2024, 5, 1)
+      );
+      expect(evaluateExpression("{2 business days ago}").result).toEqual(
+        createLocalDate(2024, 4, 25)
+      );
+    });
+
+    test("should evaluate the next and previous business day", () => {
+      expect(evaluateExpression("{Next business day}")).toEqual({
+        type: "date",
+        result: createLocalDate(2024, 4, 29),
+      });
+      expect(evaluateExpression("{Last business day}").result).toEqual(
+        createLocalDate(2024, 4, 26)
+      );
+      expect(evaluateExpression("{Previous working day}").result).toEqual(
+        createLocalDate(2024, 4, 26)
+      );
+    });
+
+    test("should find business days within a month", () => {
+      expect(evaluateExpression("{Last business day of this month}").result).toEqual(
+        createLocalDate(2024, 4, 30)
+      );
+      expect(evaluateExpression("{First business day of June}").result).toEqual(
+        createLocalDate(2024, 6, 3)
+      );
+    });
+
+    test("should compose with end of period expressions", () => {
+      expect(evaluateExpression("{2 working days before the end of next month}").result).toEqual(
+        createLocalDate(2024, 5, 29, 23, 59, 59, 999)
+      );
+    });
+
+    test("should skip holidays", () => {
+      const options = { holidays: ["2024-05-27", "2024-05-31", createLocalDate(2024, 7, 4)] };
+      expect(evaluateExpression("{1 business day after May 24}", options).result).toEqual(
+        createLocalDate(2024, 5, 28)
+      );
+      expect(evaluateExpression("{Last business day of May}", options).result).toEqual(
+        createLocalDate(2024, 5, 30)
+      );
+      expect(evaluateExpression("{2 business days before July 5}", options).result).toEqual(
+        createLocalDate(2024, 7, 2)
+      );
+      expect(
+        evaluateExpression("{Next business day}", { holidays: ["2024-04-29"] }).result
+      ).toEqual(createLocalDate(2024, 4, 30));
+    });
+  });
+
+  describe("Holiday Expressions", () => {
+    test("should evaluate holidays of the current year", () => {
+      expect(evaluateExpression("{Thanksgiving}")).toEqual({
+        type: "date",
+        result: createLocalDate(2024, 11, 28),
+      });
+      expect(evaluateExpression("{Easter}").result).toEqual(createLocalDate(2024, 3, 31));
+      expect(evaluateExpression("{Christmas}").result).toEqual(createLocalDate(2024, 12, 25));
+      expect(evaluateExpression("{Memorial Day}").result).toEqual(createLocalDate(2024, 5, 27));
+    });
+
+    test("should evaluate holidays of other years", () => {
+      expect(evaluateExpression("{Labor Day next year}").result).toEqual(
+        createLocalDate(2025, 9, 1)
+      );
+      expect(evaluateExpression("{Christmas last year}").result).toEqual(
+        createLocalDate(2023, 12, 25)
+      );
+      expect(evaluateExpression("{Easter 2025}").result).toEqual(createLocalDate(2025, 4, 20));
+      expect(evaluateExpression("{Good Friday of 2026}").result).toEqual(
+        createLocalDate(2026, 4, 3)
+      );
+    });
+
+    test("should use holidays as the base of compound expressions", () => {
+      expect(evaluateExpression("{2 weeks before Thanksgiving}").result).toEqual(
+        createLocalDate(2024, 11, 14)
+      );
+      expect(evaluateExpression("{3 business days after Thanksgiving}").result).toEqual(
+        createLocalDate(2024, 12, 3)
+      );
+    });
+
+    test("should use the holidays of the selected regions", () => {
+      expect(evaluateExpression("{Boxing Day}").type).toBe("unhandled");
+      expect(evaluateExpression("{Boxing Day}", { holidayRegions: "UK" }).result).toEqual(
+        createLocalDate(2024, 12, 26)
+      );
+      expect(evaluateExpression("{Thanksgiving}", { holidayRegions: ["CA", "US"] }).result).toEqual(
+        createLocalDate(2024, 10, 14)
+      );
+    });
+
+    test("should evaluate custom observances", () => {
+      const options = {
+        customObservances: {
+          "Founders Day": "March 3",
+          "Review Day": "Second Tuesday of September",
+        },
+      };
+      expect(evaluateExpression("{Founders Day}", options).result).toEqual(
+        createLocalDate(2024, 3, 3)
+      );
+      expect(evaluateExpression("{Review Day next year}", options).result).toEqual(
+        createLocalDate(2025, 9, 9)
+      );
+      expect(evaluateExpression("{1 day before review day}", options).result).toEqual(
+        createLocalDate(2024, 9, 9)
+      );
+    });
+
+    test("should not read object keys as observances {constructor 2027}", () => {
+      expect(evaluateExpression("{constructor 2027}").type).toBe("unhandled");
+      expect(evaluateExpression("{toString next year}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Dates With Years", () => {
+    test("should evaluate month names with years", () => {
+      const expected = { type: "date", result: createLocalDate(2027, 3, 5) };
+      expect(evaluateExpression("{March 5 2027}")).toEqual(expected);
+      expect(evaluateExpression("{Mar 5th, 2027}")).toEqual(expected);
+      expect(evaluateExpression("{5 March 2027}")).toEqual(expected);
+      expect(evaluateExpression("{5th of March, 2027}")).toEqual(expected);
+      expect(evaluateExpression("{5 March}").result).toEqual(createLocalDate(2024, 3, 5));
+      expect(evaluateExpression("{March 2027}").result).toEqual(createLocalDate(2027, 3, 1));
+    });
+
+    test("should evaluate ISO dates", () => {
+      expect(evaluateExpression("{2027-03-05}")).toEqual({
+        type: "date",
+        result: createLocalDate(2027, 3, 5),
+      });
+    });
+
+    test("should evaluate numeric dates in the configured order", () => {
+      expect(evaluateExpression("{3/5/2027}").result).toEqual(createLocalDate(2027, 3, 5));
+      expect(evaluateExpression("{3/5/2027}", { dateOrder: "DMY" }).result).toEqual(
+        createLocalDate(2027, 5, 3)
+      );
+      expect(evaluateExpression("{05.03.2027}", { dateOrder: "DMY" }).result).toEqual(
+        createLocalDate(2027, 3, 5)
+      );
+    });
+
+    test("should keep numeric expressions without a year as math", () => {
+      expect(evaluateExpression("{10/3}")).toEqual({ type: "math", result: 10 / 3 });
+      expect(evaluateExpression("{12-3-1}")).toEqual({ type: "math", result: 8 });
+    });
+
+    test("should mark dates that don't exist as unhandled", () => {
+      expect(evaluateExpression("{2027-02-30}").type).toBe("unhandled");
+      expect(evaluateExpression("{13/1/2027}").type).toBe("unhandled");
+      expect(evaluateExpression("{Feb 29 2025}").type).toBe("unhandled");
+    });
+
+    test("should combine dates with years with time and compound expressions", () => {
+      expect(evaluateExpression("{Dec 31, 2026 at 5pm}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2026, 12, 31, 17),
+      });
+      expect(evaluateExpression("{2 days before 2027-03-05}").result).toEqual(
+        createLocalDate(2027, 3, 3)
+      );
+      expect(evaluateExpression("{First Monday of March 2027}").result).toEqual(
+        createLocalDate(2027, 3, 1)
+      );
+    });
+  });
+
+  describe("Year Rollover", () => {
+    // Saturday, December 28, 2024
+    const now = createLocalDate(2024, 12, 28, 10);
+
+    test("should keep dates without a year in the current year by default", () => {
+      expect(evaluateExpression("{Jan 5}", { now }).result).toEqual(createLocalDate(2024, 1, 5));
+      expect(evaluateExpression("{January}", { now }).result).toEqual(createLocalDate(2024, 1, 1));
+    });
+
+    test("should move dates to their upcoming occurrence", () => {
+      const options = { now, yearRollover: "Upcoming" };
+      expect(evaluateExpression("{Jan 5}", options).result).toEqual(createLocalDate(2025, 1, 5));
+      expect(evaluateExpression("{5th of January}", options).result).toEqual(
+        createLocalDate(2025, 1, 5)
+      );
+      expect(evaluateExpression("{January}", options).result).toEqual(createLocalDate(2025, 1, 1));
+      expect(evaluateExpression("{Christmas}", options).result).toEqual(
+        createLocalDate(2025, 12, 25)
+      );
+      // Today and the current month are still upcoming
+      expect(evaluateExpression("{Dec 28}", options).result).toEqual(createLocalDate(2024, 12, 28));
+      expect(evaluateExpression("{December}", options).result).toEqual(
+        createLocalDate(2024, 12, 1)
+      );
+    });
+
+    test("should move dates to their most recent occurrence", () => {
+      const options = { now: createLocalDate(2025, 1, 2, 10), yearRollover: "recent" };
+      expect(evaluateExpression("{Dec 30}", options).result).toEqual(createLocalDate(2024, 12, 30));
+      expect(evaluateExpression("{December}", options).result).toEqual(
+        createLocalDate(2024, 12, 1)
+      );
+      expect(evaluateExpression("{Jan 2}", options).result).toEqual(createLocalDate(2025, 1, 2));
+    });
+
+    test("should evaluate next and last occurrences", () => {
+      expect(evaluateExpression("{Next Jan 5}", { now }).result).toEqual(
+        createLocalDate(2025, 1, 5)
+      );
+      expect(evaluateExpression("{Next Dec 28}", { now }).result).toEqual(
+        createLocalDate(2025, 12, 28)
+      );
+      expect(evaluateExpression("{Last Dec 28}", { now }).result).toEqual(
+        createLocalDate(2023, 12, 28)
+      );
+      expect(evaluateExpression("{Last December}", { now }).result).toEqual(
+        createLocalDate(2023, 12, 1)
+      );
+      expect(evaluateExpression("{Next Thanksgiving}", { now }).result).toEqual(
+        createLocalDate(2025, 11, 27)
+      );
+      expect(evaluateExpression("{2 days before next Jan 5}", { now }).result).toEqual(
+        createLocalDate(2025, 1, 3)
+      );
+    });
+  });
+
+  describe("Date Differences", () => {
+    test("should count days until and since dates", () => {
+      expect(evaluateExpression("{days until December 25}")).toEqual({ type: "math", result: 242 });
+      expect(evaluateExpression("{Days until Christmas}")).toEqual({ type: "math", result: 242 });
+      expect(evaluateExpression("{days since Jan 1}")).toEqual({ type: "math", result: 117 });
+      expect(evaluateExpression("{days until yesterday}")).toEqual({ type: "math", result: -1 });
+    });
+
+    test("should count whole weeks, months and years", () => {
+      expect(evaluateExpression("{weeks since March 1 2024}").result).toBe(8);
+      expect(evaluateExpression("{weeks until March 1 2026}").result).toBe(96);
+      expect(evaluateExpression("{months between Jan 31 and March 1}").result).toBe(1);
+      expect(evaluateExpression("{years since 1990-04-28}").result).toBe(33);
+      expect(evaluateExpression("{age since 1990-06-01}").result).toBe(33);
+    });
+
+    test("should count business days", () => {
+      expect(evaluateExpression("{business days between today and end of this month}")).toEqual({
+        type: "math",
+        result: 2,
+      });
+      expect(evaluateExpression("{business days between end of this month and today}").result).toBe(
+        -2
+      );
+      expect(
+        evaluateExpression("{workdays until May 10}", { holidays: ["2024-05-01"] }).result
+      ).toBe(9);
+    });
+
+    test("should count hours between times", () => {
+      expect(evaluateExpression("{hours until tomorrow at 5pm}").result).toBe(31);
+    });
+
+    test("should allow either endpoint to contain 'and'", () => {
+      expect(
+        evaluateExpression("{days between first monday of may and last friday of may}").result
+      ).toBe(25);
+    });
+
+    test("should use date differences in math expressions", () => {
+      expect(evaluateExpression("{(days until December 25) / 7}")).toEqual({
+        type: "math",
+        result: 242 / 7,
+      });
+    });
+
+    test("should mark differences with invalid dates as unhandled", () => {
+      expect(evaluateExpression("{days until someday}").type).toBe("unhandled");
+      expect(evaluateExpression("{days between today and someday}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Date Arithmetic", () => {
+    test.each([
+      ["{today + 3d}", createLocalDate(2024, 4, 30)],
+      ["{today+3 days}", createLocalDate(2024, 4, 30)],
+      ["{next monday - 2w}", createLocalDate(2024, 4, 15)],
+      ["{May 1 + 1 month}", createLocalDate(2024, 6, 1)],
+      ["{2024-05-01 - 1y}", createLocalDate(2023, 5, 1)],
+      ["{Friday + 2bd}", createLocalDate(2024, 4, 30)],
+      ["{Christmas - 1 week}", createLocalDate(2024, 12, 18)],
+    ])("should evaluate %s", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "date", result: expected });
+    });
+
+    test("should add times to dates", () => {
+      expect(evaluateExpression("{now + 90m}")).toEqual({
+        type: "time",
+        result: createLocalDate(2024, 4, 27, 11, 30),
+      });
+      expect(evaluateExpression("{now + 2d}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 29, 10, 0),
+      });
+      expect(evaluateExpression("{today + 1d 12h}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 28, 12, 0),
+      });
+      expect(evaluateExpression("{tomorrow at 3pm + 2 hours}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 28, 17, 0),
+      });
+    });
+
+    test("should chain several durations", () => {
+      expect(evaluateExpression("{today + 3d - 2h}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 29, 22, 0),
+      });
+    });
+
+    test("should skip holidays when subtracting business days", () => {
+      expect(
+        evaluateExpression("{end of this month - 1 business day}", { holidays: ["2024-04-29"] })
+          .result
+      ).toEqual(createLocalDate(2024, 4, 26, 23, 59, 59, 999));
+    });
+
+    test("should leave math and invalid durations alone", () => {
+      expect(evaluateExpression("{3 + 2h}").type).toBe("quantity");
+      expect(evaluateExpression("{today + 3x}").type).toBe("unhandled");
+      expect(evaluateExpression("{someday + 3d}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Times of Day", () => {
+    test.each([
+      ["{Noon}", 12, 0],
+      ["{Midnight}", 0, 0],
+      ["{Tonight}", 20, 0],
+      ["{End of day}", 17, 0],
+      ["{start of business}", 9, 0],
+    ])("should evaluate %s to a time", (input, hours, minutes) => {
+      expect(evaluateExpression(input)).toEqual({
+        type: "time",
+        result: createLocalDate(2024, 4, 27, hours, minutes),
+      });
+    });
+
+    test.each([
+      ["{Tomorrow morning}", createLocalDate(2024, 4, 28, 9, 0)],
+      ["{Friday at noon}", createLocalDate(2024, 4, 26, 12, 0)],
+      ["{Tomorrow end of business}", createLocalDate(2024, 4, 28, 17, 0)],
+      ["{Next Monday evening}", createLocalDate(2024, 4, 29, 18, 0)],
+      ["{Tomorrow at 9}", createLocalDate(2024, 4, 28, 9, 0)],
+      ["{Tomorrow at 21}", createLocalDate(2024, 4, 28, 21, 0)],
+    ])("should evaluate %s to a date and time", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "dateTime", result: expected });
+    });
+
+    test("should keep the end of a day unit {End of this day}", () => {
+      expect(evaluateExpression("{End of this day}").result).toEqual(
+        createLocalDate(2024, 4, 27, 23, 59, 59, 999)
+      );
+    });
+
+    test("should use configured times of day", () => {
+      const options = { timesOfDay: { Morning: "8:00", Standup: "9:15am", Broken: "soon" } };
+      expect(evaluateExpression("{Tomorrow morning}", options).result).toEqual(
+        createLocalDate(2024, 4, 28, 8, 0)
+      );
+      expect(evaluateExpression("{Monday standup}", options).result).toEqual(
+        createLocalDate(2024, 4, 22, 9, 15)
+      );
+      expect(evaluateExpression("{Noon}", options).result).toEqual(
+        createLocalDate(2024, 4, 27, 12, 0)
+      );
+      expect(evaluateExpression("{Tomorrow broken}", options).type).toBe("unhandled");
+    });
+
+    test.each([
+      "{constructor}",
+      "{__proto__}",
+      "{tomorrow constructor}",
+      "{every day at constructor}",
+    ])("should not read object keys as times of day %s", (input) => {
+      expect(evaluateExpression(input).type).toBe("unhandled");
+    });
+
+    test("should read bare hours as daytime hours with the bareHours option", () => {
+      const options = { bareHours: "daytime" };
+      expect(evaluateExpression("{Tomorrow at 3}", options).result).toEqual(
+        createLocalDate(2024, 4, 28, 15, 0)
+      );
+      expect(evaluateExpression("{Tomorrow at 9}", options).result).toEqual(
+        createLocalDate(2024, 4, 28, 9, 0)
+      );
+      expect(evaluateExpression("{Tomorrow at 03:00}", options).result).toEqual(
+        createLocalDate(2024, 4, 28, 3, 0)
+      );
+      expect(evaluateExpression("{Tomorrow at 3}").result).toEqual(
+        createLocalDate(2024, 4, 28, 3, 0)
+      );
+    });
+  });
+
+  // The tests run in UTC, so converted times are in UTC
+  describe("Time Zones", () => {
+    test.each([
+      ["{9am PST}", "time", createLocalDate(2024, 4, 27, 17, 0)],
+      ["{4pm ET}", "time", createLocalDate(2024, 4, 27, 20, 0)],
+      ["{10:00 New York}", "time", createLocalDate(2024, 4, 27, 14, 0)],
+      ["{Tomorrow 14:00 Europe/Berlin}", "dateTime", createLocalDate(2024, 4, 28, 12, 0)],
+      ["{Today at 9am UTC+2}", "dateTime", createLocalDate(2024, 4, 27, 7, 0)],
+      ["{9pm PDT}", "dateTime", createLocalDate(2024, 4, 28, 4, 0)],
+    ])("should read %s in the time zone", (input, type, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type, result: expected });
+    });
+
+    test("should show dates in another time zone", () => {
+      expect(evaluateExpression("{Now in Tokyo}")).toEqual({
+        type: "time",
+        result: createLocalDate(2024, 4, 27, 19, 0),
+      });
+      expect(evaluateExpression("{Tomorrow at 5am in America/Los_Angeles}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 27, 22, 0),
+      });
+    });
+
+    test("should format dates in a time zone", () => {
+      expect(evaluateExpression('{"HH:mm@Asia/Tokyo":now}')).toEqual({
+        type: "formattedDate",
+        result: "19:00",
+      });
+      expect(evaluateExpression('{"yyyy-MM-dd HH:mm@PST":Tomorrow at 5am}')).toEqual({
+        type: "formattedDate",
+        result: "2024-04-27 21:00",
+      });
+    });
+
+    test("should not mistake holidays for time zones", () => {
+      // Indian/Christmas and Pacific/Easter are time zones
+      expect(evaluateExpression("{2 days before Christmas}")).toEqual({
+        type: "date",
+        result: createLocalDate(2024, 12, 23),
+      });
+    });
+
+    test("should leave unknown time zones unhandled", () => {
+      expect(evaluateExpression("{9am Atlantis}").type).toBe("unhandled");
+      expect(evaluateExpression("{Now in Mars}").type).toBe("unhandled");
+      expect(evaluateExpression("{Now in constructor}").type).toBe("unhandled");
+    });
+  });
+
+  // The reference date, April 27, 2024, is a Saturday
+  describe("Recurrences", () => {
+    test.each([
+      ["{Every Monday}", createLocalDate(2024, 4, 29)],
+      ["{Every Saturday}", createLocalDate(2024, 4, 27)],
+      ["{Every other Tuesday}", createLocalDate(2024, 4, 30)],
+      ["{Every Tuesday and Thursday}", createLocalDate(2024, 4, 30)],
+      ["{Every weekday}", createLocalDate(2024, 4, 29)],
+      ["{Every business day}", createLocalDate(2024, 4, 29)],
+      ["{Every 3rd Friday}", createLocalDate(2024, 5, 17)],
+      ["{Every last Friday of the month}", createLocalDate(2024, 5, 31)],
+      ["{Next occurrence of the 15th}", createLocalDate(2024, 5, 15)],
+      ["{Every month on the 31st}", createLocalDate(2024, 5, 31)],
+      ["{Every last day of the month}", createLocalDate(2024, 4, 30)],
+      ["{Every March 1}", createLocalDate(2025, 3, 1)],
+      ["{Every Feb 29}", createLocalDate(2028, 2, 29)],
+    ])("should evaluate %s to the next occurrence", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "date", result: expected });
+    });
+
+    test("should count intervals from the start of the recurrence", () => {
+      expect(evaluateExpression("{Every other Tuesday starting March 1}").result).toEqual(
+        createLocalDate(2024, 4, 30)
+      );
+      expect(evaluateExpression("{Every 2 weeks starting March 1}").result).toEqual(
+        createLocalDate(2024, 5, 10)
+      );
+      expect(evaluateExpression("{Every other day starting yesterday}").result).toEqual(
+        createLocalDate(2024, 4, 28)
+      );
+      expect(evaluateExpression("{Every 2 business days starting April 22}").result).toEqual(
+        createLocalDate(2024, 4, 30)
+      );
+      expect(evaluateExpression("{Every month starting June 5}").result).toEqual(
+        createLocalDate(2024, 6, 5)
+      );
+    });
+
+    test("should evaluate recurrences with a time to the next occurrence after now", () => {
+      expect(evaluateExpression("{Every weekday at 9am}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 29, 9, 0),
+      });
+      expect(evaluateExpression("{Every day at noon}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 27, 12, 0),
+      });
+      expect(evaluateExpression("{Every Saturday at 9am}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 5, 4, 9, 0),
+      });
+    });
+
+    test("should skip holidays in business day recurrences", () => {
+      expect(
+        evaluateExpression("{Every business day}", { holidays: ["2024-04-29"] }).result
+      ).toEqual(createLocalDate(2024, 4, 30));
+    });
+
+    test("should leave unknown recurrences unhandled", () => {
+      expect(evaluateExpression("{Every banana}").type).toBe("unhandled");
+      expect(evaluateExpression("{Every Monday at teatime}").type).toBe("unhandled");
+      expect(evaluateExpression("{Every Monday starting someday}").type).toBe("unhandled");
+      expect(evaluateExpression("{Every 32nd}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Ordinal Days", () => {
+    test.each([
+      ["{The 15th of next month}", createLocalDate(2024, 5, 15)],
+      ["{15th of last month}", createLocalDate(2024, 3, 15)],
+      ["{The 1st}", createLocalDate(2024, 4, 1)],
+      ["{The 15th of March 2027}", createLocalDate(2027, 3, 15)],
+      ["{Day 100 of this year}", createLocalDate(2024, 4, 9)],
+      ["{Day 1 of Q3}", createLocalDate(2024, 7, 1)],
+      ["{Day 32 of 2025}", createLocalDate(2025, 2, 1)],
+      ["{The last day of February}", createLocalDate(2024, 2, 29)],
+      ["{The last day of the month}", createLocalDate(2024, 4, 30)],
+      ["{The 10th day of next month}", createLocalDate(2024, 5, 10)],
+      ["{The 3rd business day of next month}", createLocalDate(2024, 5, 3)],
+      ["{The 2nd weekday of June}", createLocalDate(2024, 6, 4)],
+      ["{The 2nd Tuesday of next month}", createLocalDate(2024, 5, 14)],
+      ["{First Monday of next year}", createLocalDate(2025, 1, 6)],
+      ["{10th Monday of 2025}", createLocalDate(2025, 3, 10)],
+      ["{The 3rd day of next week}", createLocalDate(2024, 4, 30)],
+      ["{Last day of this fiscal year}", createLocalDate(2024, 12, 31)],
+    ])("should evaluate %s", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "date", result: expected });
+    });
+
+    test("should count fiscal periods from the fiscal year start", () => {
+      expect(
+        evaluateExpression("{Last day of this fiscal year}", { fiscalYearStartMonth: "October" })
+          .result
+      ).toEqual(createLocalDate(2024, 9, 30));
+    });
+
+    test("should skip holidays when counting business days", () => {
+      expect(
+        evaluateExpression("{The 3rd business day of next month}", { holidays: ["2024-05-02"] })
+          .result
+      ).toEqual(createLocalDate(2024, 5, 6));
+    });
+
+    test("should combine ordinal days with times and offsets", () => {
+      expect(evaluateExpression("{The 15th of next month at 9am}")).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 5, 15, 9, 0),
+      });
+      expect(evaluateExpression("{2 days before the 1st of next month}").result).toEqual(
+        createLocalDate(2024, 4, 29)
+      );
+    });
+
+    test("should leave days outside the period unhandled", () => {
+      expect(evaluateExpression("{Day 0 of this year}").type).toBe("unhandled");
+      expect(evaluateExpression("{Day 367 of this year}").type).toBe("unhandled");
+      expect(evaluateExpression("{The 31st of next month}").type).toBe("date");
+      expect(evaluateExpression("{The 31st day of June}").type).toBe("unhandled");
+      expect(evaluateExpression("{The 25th business day of next month}").type).toBe("unhandled");
+      expect(evaluateExpression("{The 15th of someday}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Combined Durations", () => {
+    test.each([
+      [
+        "{1 week 2 days before the end of next month}",
+        createLocalDate(2024, 5, 22, 23, 59, 59, 999),
+      ],
+      ["{1 week, 2 days after Friday}", createLocalDate(2024, 5, 5)],
+      ["{Two weeks and three days after Friday}", createLocalDate(2024, 5, 13)],
+      ["{1 month and 2 days after Jan 30 2025}", createLocalDate(2025, 3, 2)],
+      ["{Twenty one days after today}", createLocalDate(2024, 5, 18)],
+      ["{Half a month after May 1}", createLocalDate(2024, 5, 16)],
+      ["{2 days before 3 weeks after Friday}", createLocalDate(2024, 5, 15)],
+      ["{0 days after Friday}", createLocalDate(2024, 4, 26)],
+    ])("should evaluate %s to a date", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "date", result: expected });
+    });
+
+    test.each([
+      ["{2 days and 3 hours after tomorrow}", createLocalDate(2024, 4, 30, 3, 0)],
+      ["{A week and a half after Friday}", createLocalDate(2024, 5, 6, 12, 0)],
+      ["{One and a half weeks before May 20}", createLocalDate(2024, 5, 9, 12, 0)],
+      ["{1.5 days after today}", createLocalDate(2024, 4, 28, 12, 0)],
+      ["{3d 4h after tomorrow}", createLocalDate(2024, 5, 1, 4, 0)],
+      ["{An hour before tomorrow at 9am}", createLocalDate(2024, 4, 28, 8, 0)],
+    ])("should evaluate %s to a date and time", (input, expected) => {
+      expect(evaluateExpression(input)).toEqual({ type: "dateTime", result: expected });
+    });
+
+    test("should keep times that stay on the same day", () => {
+      expect(evaluateExpression("{Half an hour after noon}")).toEqual({
+        type: "time",
+        result: createLocalDate(2024, 4, 27, 12, 30),
+      });
+    });
+
+    test("should leave invalid durations unhandled", () => {
+      expect(evaluateExpression("{2 bananas after Friday}").type).toBe("unhandled");
+      expect(evaluateExpression("{2 days and after Friday}").type).toBe("unhandled");
+      expect(evaluateExpression("{1.5 business days after Friday}").type).toBe("unhandled");
+      expect(evaluateExpression("{1.5 seconds after now}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Locales", () => {
+    test.each([
+      ["{Próximo lunes}", createLocalDate(2024, 4, 29)],
+      ["{El lunes pasado}", createLocalDate(2024, 4, 22)],
+      ["{Hace 3 días}", createLocalDate(2024, 4, 24)],
+      ["{En 2 semanas}", createLocalDate(2024, 5, 11)],
+      ["{5 de marzo de 2027}", createLocalDate(2027, 3, 5)],
+      ["{Primer lunes de septiembre}", createLocalDate(2024, 9, 2)],
+      ["{2 días antes del viernes}", createLocalDate(2024, 4, 24)],
+    ])("should evaluate Spanish %s", (input, expected) => {
+      expect(evaluateExpression(input, { locale: "es" })).toEqual({
+        type: "date",
+        result: expected,
+      });
+    });
+
+    test.each([
+      ["{Nächsten Freitag}", createLocalDate(2024, 5, 3)],
+      ["{Letzten Montag}", createLocalDate(2024, 4, 22)],
+      ["{Vor 3 Tagen}", createLocalDate(2024, 4, 24)],
+      ["{Übermorgen}", createLocalDate(2024, 4, 29)],
+      ["{Am 5. März}", createLocalDate(2024, 3, 5)],
+      ["{Erster Montag im September}", createLocalDate(2024, 9, 2)],
+      ["{Anfang nächster Woche}", createLocalDate(2024, 4, 28)],
+    ])("should evaluate German %s", (input, expected) => {
+      expect(evaluateExpression(input, { locale: "de" })).toEqual({
+        type: "date",
+        result: expected,
+      });
+    });
+
+    test("should evaluate the end of a period in German {Ende nächsten Monats}", () => {
+      expect(evaluateExpression("{Ende nächsten Monats}", { locale: "de" })).toEqual(
+        evaluateExpression("{End of next month}")
+      );
+    });
+
+    test("should evaluate times, math and English in another language", () => {
+      expect(evaluateExpression("{Mañana a las 9}", { locale: "es" })).toEqual({
+        type: "dateTime",
+        result: createLocalDate(2024, 4, 28, 9, 0),
+      });
+      expect(evaluateExpression("{Morgen um 9 Uhr}", { locale: "de" }).result).toEqual(
+        createLocalDate(2024, 4, 28, 9, 0)
+      );
+      expect(evaluateExpression("{9 am}", { locale: "de" }).result).toEqual(
+        createLocalDate(2024, 4, 27, 9, 0)
+      );
+      expect(evaluateExpression("{10 / 4}", { locale: "es" })).toEqual({
+        type: "math",
+        result: 2.5,
+      });
+      expect(evaluateExpression("{Next Monday}", { locale: "de" }).result).toEqual(
+        createLocalDate(2024, 4, 29)
+      );
+    });
+
+    test("should evaluate names that don't translate as they are written", () => {
+      const options = { locale: "es", customObservances: { "Día del Fundador": "March 3" } };
+      expect(evaluateExpression("{Día del Fundador}", options).result).toEqual(
+        createLocalDate(2024, 3, 3)
+      );
+    });
+
+    test("should format dates in the language", () => {
+      expect(evaluateExpression(`{"EEEE d 'de' MMMM":mañana}`, { locale: "es" }).result).toBe(
+        "domingo 28 de abril"
+      );
+      expect(evaluateExpression(`{"relative":nächsten Freitag}`, { locale: "de" }).result).toBe(
+        "in 6 Tagen"
+      );
+      expect(evaluateExpression(`{"calendar":mañana a las 9}`, { locale: "es" }).result).toBe(
+        "Mañana a las 9:00"
+      );
+      expect(evaluateExpression(`{"ago":hace 2 meses}`, { locale: "es" }).result).toBe(
+        "hace 2 meses"
+      );
+    });
+
+    test("should not translate expressions in English", () => {
+      expect(evaluateExpression("{Mañana}").type).toBe("unhandled");
+    });
+  });
+
+  describe("Expression Handlers", () => {
+    // Two week sprints, starting with sprint 1 on Monday, January 1, 2024
+    const sprintHandler = {
+      match: (expr) => expr.match(/^sprint (\d+)(?: (start|end))?$/i),
+      evaluate: ([, sprint, boundary]) => {
+        const start = addWeeks(createLocalDate(2024, 1, 1), (parseInt(sprint, 10) - 1) * 2);
+        return { type: "date", result: boundary === "end" ? addDays(start, 13) : start };
+      },
+    };
+
+    afterEach(() => {
+      unregisterExpressionHandler("sprint");
+      unregisterExpressionHandler("holiday override");
+    });
+
+    test("should list the built-in handlers in the order they are tried", () => {
+      expect(getExpressionHandlers().map(({ name }) => name)).toEqual([
+        "recurrence",
+        "weekNumber",
+        "timeOfDay",
+        "relativeDay",
+        "absoluteDate",
+        "relativeDate",
+        "time",
+        "dateDifference",
+        "numericDate",
+        "math",
+      ]);
+    });
+
+    test("should evaluate expressions with a registered handler", () => {
+      registerExpressionHandler("sprint", sprintHandler);
+      expect(evaluateExpression("{Sprint 9}")).toEqual({
+        type: "date",
+        result: createLocalDate(2024, 4, 22),
+      });
+      expect(evaluateExpression('{"MMM d":Sprint 9 end}')).toEqual({
+        type: "formattedDate",
+        result: "May 5",
+      });
+      expect(getExpressionHandlers()).toContainEqual({ name: "sprint", priority: 0 });
+    });
+
+    test("should use registered handlers for dates inside other expressions", () => {
+      registerExpressionHandler("sprint", sprintHandler);
+      expect(evaluateExpression("{2 days before Sprint 9 end}").result).toEqual(
+        createLocalDate(2024, 5, 3)
+      );
+      expect(evaluateExpression("{Sprint 10 at 9am}").result).toEqual(
+        createLocalDate(2024, 5, 6, 9)
+      );
+      expect(evaluateExpression("{Days until Sprint 10}")).toEqual({ type: "math", result: 9 });
+    });
+
+    test("should try handlers with a higher priority first", () => {
+      registerExpressionHandler("holiday override", {
+        priority: 200,
+        match: (expr) => /^tomorrow$/i.test(expr),
+        evaluate: () => ({ type: "date", result: createLocalDate(2024, 12, 25) }),
+      });
+      expect(evaluateExpression("{Tomorrow}").result).toEqual(createLocalDate(2024, 12, 25));
+      expect(getExpressionHandlers()[0].name).toBe("holiday override");
+
+      unregisterExpressionHandler("holiday override");
+      expect(evaluateExpression("{Tomorrow}").result).toEqual(createLocalDate(2024, 4, 28));
+    });
+
+    test("should let handlers above the date grammar claim dates made of other dates", () => {
+      const holidayHandler = {
+        match: (expr) => /^tomorrow at 9am$/i.test(expr),
+        evaluate: () => ({ type: "dateTime", result: createLocalDate(2024, 12, 25, 9) }),
+      };
+      registerExpressionHandler("holiday override", holidayHandler);
+      expect(evaluateExpression("{Tomorrow at 9am}").result).toEqual(
+        createLocalDate(2024, 4, 28, 9)
+      );
+
+      registerExpressionHandler("holiday override", { ...holidayHandler, priority: 200 });
+      expect(evaluateExpression("{Tomorrow at 9am}").result).toEqual(
+        createLocalDate(2024, 12, 25, 9)
+      );
+    });
+
+    test("should let the next handler try when a handler returns null", () => {
+      registerExpressionHandler("sprint", {
+        ...sprintHandler,
+        priority: 200,
+        evaluate: () => null,
+      });
+      expect(evaluateExpression("{Sprint 9}")).toEqual({ type: "unhandled", result: null });
+    });
+
+    test("should stop at an unhandled evaluation with a reason", () => {
+      registerExpressionHandler("sprint", {
+        ...sprintHandler,
+        evaluate: () => ({ type: "unhandled", result: null, reason: "Sprints are paused" }),
+      });
+      expect(evaluateExpression("{Sprint 9}")).toEqual({
+        type: "unhandled",
+        result: null,
+        reason: "Sprints are paused",
+      });
+    });
+
+    test("should replace a handler registered with the same name", () => {
+      registerExpressionHandler("sprint", sprintHandler);
+      registerExpressionHandler("sprint", {
+        match: (expr) => /^sprint \d+$/i.test(expr),
+        evaluate: () => ({ type: "math", result: 42 }),
+      });
+      expect(evaluateExpression("{Sprint 9}")).toEqual({ type: "math", result: 42 });
+      expect(getExpressionHandlers().filter(({ name }) => name === "sprint")).toHaveLength(1);
+    });
+
+    test("should reject handlers without match and evaluate functions", () => {
+      expect(() => registerExpressionHandler("sprint", { match: /sprint/ })).toThrow(TypeError);
+      expect(unregisterExpressionHandler("sprint")).toBe(false);
+    });
   });
 
   describe("Unhandled Expressions", () => {
@@ -878,9 +2213,9 @@ describe("evaluateExpression", () => {
       expect(evaluateExpression(input)).toEqual(expected);
     });
 
-    test("should mark unsupported math function {sin(pi/2)} as unhandled", () => {
-      const input = "{sin(pi/2)}";
-      const expected = { type: "unhandled", result: null };
+    test("should mark unsupported math function {sine(pi/2)} as unhandled", () => {
+      const input = "{sine(pi/2)}";
+      const expected = { type: "unhandled", result: null, reason: "Unknown function sine()" };
       expect(evaluateExpression(input)).toEqual(expected);
     });
 
@@ -900,7 +2235,7 @@ describe("evaluateExpression", () => {
 
     test("should handle division by zero {10 / 0}", () => {
       const input = "{10 / 0}";
-      const expected = { type: "math", result: Infinity };
+      const expected = { type: "unhandled", result: null, reason: "Division by zero" };
       expect(evaluateExpression(input)).toEqual(expected);
     });
 
@@ -942,8 +2277,51 @@ describe("evaluateExpression", () => {
 
     test('should mark unsupported format specifier as unhandled {"invalid":Today}', () => {
       const input = '{"invalid":Today}';
-      const expected = { type: "unhandled", result: null };
+      const expected = { type: "unhandled", result: null, reason: 'Invalid date format "invalid"' };
       expect(evaluateExpression(input)).toEqual(expected);
     });
+
+    test.each([
+      ["{Febuary 3}", 'Unknown month "Febuary", did you mean February?'],
+      ["{Next Wendesday}", 'Unknown weekday "Wendesday", did you mean Wednesday?'],
+      ["{Jule 4}", 'Unknown month "Jule", did you mean June or July?'],
+      ["{Fifth Wednesday of April}", "There are only 4 Wednesdays in April 2024"],
+      ["{Day 400 of this year}", "There are only 366 days in 2024"],
+      [
+        "{6th business day of this week}",
+        "There are only 5 business days from Apr 21 to Apr 27, 2024",
+      ],
+      ["{February 29, 2027}", "February 2027 has only 28 days"],
+      ["{2027-02-30}", "2027-02-30 isn't a valid date"],
+      ["{2 days after Blursday}", 'Unknown date "Blursday" at character 14'],
+      ["{(1 + 2}", 'Missing ")" for the "(" at character 1'],
+      ["{round(3,)}", 'Unexpected ")" at character 9'],
+      ["{Blursday + 3d}", 'Unknown date "Blursday" at character 1'],
+      ["{2 days after Blursday at 9am PST}", 'Unknown date "Blursday" at character 14'],
+      ['{"0.00":Tomorrow}', 'Number format "0.00" can\'t be applied to a date'],
+    ])("should explain why %s is unhandled", (input, reason) => {
+      expect(evaluateExpression(input)).toEqual({ type: "unhandled", result: null, reason });
+    });
+
+    test("should suggest names in the language of the expression", () => {
+      expect(evaluateExpression("{Próximo miercols}", { locale: "es" }).reason).toBe(
+        'Unknown weekday "miercols", did you mean Miercoles?'
+      );
+    });
+
+    test("should not explain text that isn't a date {toc}, {Mondays}, {Sept}", () => {
+      expect(evaluateExpression("{toc}").reason).toBeUndefined();
+      expect(evaluateExpression("{Mondays}").reason).toBeUndefined();
+      expect(evaluateExpression("{Sept}").reason).toBeUndefined();
+    });
+
+    test.each([
+      "{Call Bob at 5pm}",
+      "{Bob in Tokyo}",
+      "{lunch before noon}",
+      "{Blursday at 9am PST}",
+    ])("should not explain text around a time or time zone %s", (input) => {
+      expect(evaluateExpression(input).reason).toBeUndefined();
+    });
   });
 });
@@ -0,0 +1,175 @@
+// holidays.js
+
+/**
+ * A rule that places a holiday in a given year. Exactly one of the following forms is used:
+ * - Fixed date: { month, day }, e.g. Christmas on December 25th.
+ * - Nth weekday: { month, weekday, nth }, e.g. Thanksgiving on the 4th Thursday of November.
+ *   A negative nth counts back from the end of the month, -1 being the last occurrence. With a
+ *   `day`, occurrences are counted on or after that day (or on or before it for a negative nth).
+ * - Easter: { easterOffset }, the number of days after Easter Sunday, e.g. -2 for Good Friday.
+ * @typedef {Object} HolidayRule
+ * @property {string} name - The name of the holiday.
+ * @property {string[]} [aliases] - Other names the holiday is known by.
+ * @property {number} [month] - 0 (January) to 11 (December).
+ * @property {number} [day] - The day of the month.
+ * @property {number} [weekday] - 0 (Sunday) to 6 (Saturday).
+ * @property {number} [nth] - Which occurrence of the weekday in the month.
+ * @property {number} [easterOffset] - Days after Easter Sunday.
+ */
+
+/** @type {HolidayRule[]} Holidays and observances shared by every region */
+const COMMON_HOLIDAYS = [
+  { name: "New Year's Day", aliases: ["New Year", "New Years"], month: 0, day: 1 },
+  { name: "Valentine's Day", aliases: ["Valentines"], month: 1, day: 14 },
+  {
+    name: "Saint Patrick's Day",
+    aliases: ["St Patrick's Day", "St Patricks Day"],
+    month: 2,
+    day: 17,
+  },
+  { name: "Ash Wednesday", easterOffset: -46 },
+  { name: "Palm Sunday", easterOffset: -7 },
+  { name: "Good Friday", easterOffset: -2 },
+  { name: "Easter", aliases: ["Easter Sunday"], easterOffset: 0 },
+  { name: "Easter Monday", easterOffset: 1 },
+  { name: "Ascension Day", easterOffset: 39 },
+  { name: "Pentecost", aliases: ["Whit Sunday"], easterOffset: 49 },
+  { name: "Halloween", month: 9, day: 31 },
+  { name: "Christmas Eve", month: 11, day: 24 },
+  { name: "Christmas", aliases: ["Christmas Day"], month: 11, day: 25 },
+  { name: "New Year's Eve", aliases: ["New Years Eve"], month: 11, day: 31 },
+];
+
+/** @type {Object<string, HolidayRule[]>} Holidays by region code */
+export const HOLIDAY_REGIONS = Object.freeze({
+  US: [
+    ...COMMON_HOLIDAYS,
+    {
+      name: "Martin Luther King Jr. Day",
+      aliases: ["MLK Day", "Martin Luther King Day"],
+      month: 0,
+      weekday: 1,
+      nth: 3,
+    },
+    { name: "Presidents' Day", aliases: ["Presidents Day"], month: 1, weekday: 1, nth: 3 },
+    { name: "Mother's Day", aliases: ["Mothers Day"], month: 4, weekday: 0, nth: 2 },
+    { name: "Memorial Day", month: 4, weekday: 1, nth: -1 },
+    { name: "Father's Day", aliases: ["Fathers Day"], month: 5, weekday: 0, nth: 3 },
+    { name: "Juneteenth", month: 5, day: 19 },
+    {
+      name: "Independence Day",
+      aliases: ["Fourth of July", "4th of July"],
+      month: 6,
+      day: 4,
+    },
+    { name: "Labor Day", month: 8, weekday: 1, nth: 1 },
+    { name: "Columbus Day", aliases: ["Indigenous Peoples' Day"], month: 9, weekday: 1, nth: 2 },
+    { name: "Veterans Day", month: 10, day: 11 },
+    { name: "Thanksgiving", aliases: ["Thanksgiving Day"], month: 10, weekday: 4, nth: 4 },
+  ],
+  UK: [
+    ...COMMON_HOLIDAYS,
+    { name: "Mother's Day", aliases: ["Mothers Day", "Mothering Sunday"], easterOffset: -21 },
+    { name: "Early May Bank Holiday", month: 4, weekday: 1, nth: 1 },
+    { name: "Spring Bank Holiday", month: 4, weekday: 1, nth: -1 },
+    { name: "Father's Day", aliases: ["Fathers Day"], month: 5, weekday: 0, nth: 3 },
+    { name: "Summer Bank Holiday", month: 7, weekday: 1, nth: -1 },
+    { name: "Guy Fawkes Night", aliases: ["Bonfire Night"], month: 10, day: 5 },
+    { name: "Remembrance Sunday", month: 10, weekday: 0, nth: 2 },
+    { name: "Boxing Day", month: 11, day: 26 },
+  ],
+  CA: [
+    ...COMMON_HOLIDAYS,
+    { name: "Family Day", month: 1, weekday: 1, nth: 3 },
+    { name: "Mother's Day", aliases: ["Mothers Day"], month: 4, weekday: 0, nth: 2 },
+    { name: "Victoria Day", month: 4, weekday: 1, nth: -1, day: 24 },
+    { name: "Father's Day", aliases: ["Fathers Day"], month: 5, weekday: 0, nth: 3 },
+    { name: "Canada Day", month: 6, day: 1 },
+    { name: "Civic Holiday", month: 7, weekday: 1, nth: 1 },
+    { name: "Labour Day", aliases: ["Labor Day"], month: 8, weekday: 1, nth: 1 },
+    { name: "Thanksgiving", aliases: ["Thanksgiving Day"], month: 9, weekday: 1, nth: 2 },
+    { name: "Remembrance Day", month: 10, day: 11 },
+    { name: "Boxing Day", month: 11, day: 26 },
+  ],
+});
+
+export const DEFAULT_HOLIDAY_REGIONS = ["US"];
+
+/**
+ * Normalizes a holiday name for lookups, ignoring case, punctuation and a leading "the".
+ * @param {string} name - The holiday name, e.g. "The 4th of July".
+ * @returns {string} - The normalized name, e.g. "4th of july".
+ */
+export function normalizeHolidayName(name) {
+  return name.toLowerCase().replace(/['’.]/g, "").replace(/\s+/g, " ").trim().replace(/^the /, "");
+}
+
+/**
+ * Finds a holiday by name in the given regions. The first region with a matching holiday wins,
+ * so ["CA", "US"] resolves "Thanksgiving" to Canadian Thanksgiving.
+ * @param {string} name - The holiday name or alias.
+ * @param {number} year - The year to find the holiday in.
+ * @param {string[]} [regions] - The region codes to search, defaults to the US.
+ * @returns {Date|null} - The start of the holiday or null if no holiday has that name.
+ */
+export function findHoliday(name, year, regions = DEFAULT_HOLIDAY_REGIONS) {
+  const normalized = normalizeHolidayName(name);
+  for (const region of regions) {
+    const rules = HOLIDAY_REGIONS[region.toUpperCase()] || [];
+    const rule = rules.find((candidate) =>
+      [candidate.name, ...(candidate.aliases || [])].some(
+        (holidayName) => normalizeHolidayName(holidayName) === normalized
+      )
+    );
+    if (rule) return getHolidayDate(rule, year);
+  }
+  return null;
+}
+
+/**
+ * Places a holiday rule in a year.
+ * @param {HolidayRule} rule - The holiday rule.
+ * @param {number} year - The year.
+ * @returns {Date} - The start of the holiday.
+ */
+export function getHolidayDate(rule, year) {
+  if (rule.easterOffset !== undefined) {
+    const easter = getEasterSunday(year);
+    return new Date(year, easter.getMonth(), easter.getDate() + rule.easterOffset);
+  }
+  if (rule.weekday === undefined) {
+    return new Date(year, rule.month, rule.day);
+  }
+  if (rule.nth > 0) {
+    const first = new Date(year, rule.month, rule.day || 1);
+    const offset = (rule.weekday - first.getDay() + 7) % 7;
+    return new Date(year, rule.month, first.getDate() + offset + (rule.nth - 1) * 7);
+  }
+  // Count back from the end of the month, or from the given day
+  const last = rule.day ? new Date(year, rule.month, rule.day) : new Date(year, rule.month + 1, 0);
+  const offset = (last.getDay() - rule.weekday + 7) % 7;
+  return new Date(year, rule.month, last.getDate() - offset + (rule.nth + 1) * 7);
+}
+
+/**
+ * Computes Easter Sunday with the anonymous Gregorian algorithm (Meeus/Jones/Butcher).
+ * @param {number} year - The year.
+ * @returns {Date} - Easter Sunday of that year.
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
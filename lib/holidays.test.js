@@ -0,0 +1,77 @@
+// holidays.test.js
+import { findHoliday, getEasterSunday, getHolidayDate, normalizeHolidayName } from "./holidays.js";
+
+// Helper function to create Date objects in local time zone
+const createLocalDate = (year, month, day) => new Date(year, month - 1, day);
+
+describe("Holidays", () => {
+  describe("getEasterSunday", () => {
+    test.each([
+      [2024, createLocalDate(2024, 3, 31)],
+      [2025, createLocalDate(2025, 4, 20)],
+      [2026, createLocalDate(2026, 4, 5)],
+      [2038, createLocalDate(2038, 4, 25)],
+      [2285, createLocalDate(2285, 3, 22)],
+    ])("should compute Easter Sunday of %i", (year, expected) => {
+      expect(getEasterSunday(year)).toEqual(expected);
+    });
+  });
+
+  describe("getHolidayDate", () => {
+    test("should place fixed date rules", () => {
+      expect(getHolidayDate({ month: 11, day: 25 }, 2024)).toEqual(createLocalDate(2024, 12, 25));
+    });
+
+    test("should place nth weekday rules", () => {
+      // Fourth Thursday of November
+      expect(getHolidayDate({ month: 10, weekday: 4, nth: 4 }, 2024)).toEqual(
+        createLocalDate(2024, 11, 28)
+      );
+      // Last Monday of May
+      expect(getHolidayDate({ month: 4, weekday: 1, nth: -1 }, 2024)).toEqual(
+        createLocalDate(2024, 5, 27)
+      );
+      // Last Monday on or before May 24
+      expect(getHolidayDate({ month: 4, weekday: 1, nth: -1, day: 24 }, 2027)).toEqual(
+        createLocalDate(2027, 5, 24)
+      );
+      // First Tuesday on or after November 2
+      expect(getHolidayDate({ month: 10, weekday: 2, nth: 1, day: 2 }, 2024)).toEqual(
+        createLocalDate(2024, 11, 5)
+      );
+    });
+
+    test("should place rules relative to Easter", () => {
+      expect(getHolidayDate({ easterOffset: -2 }, 2024)).toEqual(createLocalDate(2024, 3, 29));
+      expect(getHolidayDate({ easterOffset: 49 }, 2024)).toEqual(createLocalDate(2024, 5, 19));
+    });
+  });
+
+  describe("findHoliday", () => {
+    test("should find holidays by name or alias", () => {
+      expect(findHoliday("Thanksgiving", 2024)).toEqual(createLocalDate(2024, 11, 28));
+      expect(findHoliday("the fourth of july", 2025)).toEqual(createLocalDate(2025, 7, 4));
+      expect(findHoliday("MLK Day", 2025)).toEqual(createLocalDate(2025, 1, 20));
+      expect(findHoliday("Mothers Day", 2024)).toEqual(createLocalDate(2024, 5, 12));
+    });
+
+    test("should search regions in order", () => {
+      expect(findHoliday("Thanksgiving", 2024, ["CA", "US"])).toEqual(
+        createLocalDate(2024, 10, 14)
+      );
+      expect(findHoliday("Mother's Day", 2024, ["uk"])).toEqual(createLocalDate(2024, 3, 10));
+      expect(findHoliday("Boxing Day", 2024)).toBeNull();
+      expect(findHoliday("Boxing Day", 2024, ["US", "UK"])).toEqual(createLocalDate(2024, 12, 26));
+    });
+
+    test("should return null for unknown names and regions", () => {
+      expect(findHoliday("Tuesday", 2024)).toBeNull();
+      expect(findHoliday("Christmas", 2024, ["XX"])).toBeNull();
+    });
+  });
+
+  test("normalizeHolidayName should ignore case, punctuation and a leading 'the'", () => {
+    expect(normalizeHolidayName("The  New Year's Day")).toBe("new years day");
+    expect(normalizeHolidayName("Martin Luther King Jr. Day")).toBe("martin luther king jr day");
+  });
+});
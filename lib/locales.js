@@ -0,0 +1,364 @@
+// locales.js
+
+import { de, enUS, es } from "date-fns/locale";
+
+/**
+ * A language that expressions can be written in and results are formatted in.
+ * @typedef {Object} Locale
+ * @property {string} code - The language code, e.g. "es".
+ * @property {Object} dateFnsLocale - The date-fns locale used to format dates.
+ * @property {Object<string, string>} formats - date-fns patterns for dates ('date'), dates with
+ * times ('dateTime'), times ('time') and the parts of the "calendar" format ('calendarTime' and 'lastWeekday').
+ * @property {Array<Array>} phrases - [pattern, replacement] pairs that reorder phrases into English,
+ * like "hace 3 días" into "3 días ago", applied before the words are translated.
+ * @property {Object<string, string>} words - English translations by lowercase word without accents.
+ */
+
+/** @type {Locale} */
+const ENGLISH = Object.freeze({
+  code: "en",
+  dateFnsLocale: enUS,
+  formats: {
+    date: "MMMM do, yyyy",
+    dateTime: "MMMM do, yyyy 'at' HH:mm",
+    time: "HH:mm",
+    calendarTime: "'at' h:mm a",
+    lastWeekday: "'Last' EEEE",
+  },
+  phrases: [],
+  words: {},
+});
+
+/** @type {Locale} */
+const SPANISH = Object.freeze({
+  code: "es",
+  dateFnsLocale: es,
+  formats: {
+    date: "d 'de' MMMM 'de' yyyy",
+    dateTime: "d 'de' MMMM 'de' yyyy 'a las' HH:mm",
+    time: "HH:mm",
+    calendarTime: "'a las' H:mm",
+    lastWeekday: "EEEE 'pasado'",
+  },
+  phrases: [
+    [/\bpasado\s+mañana\b/giu, "in 2 days"],
+    [/\banteayer\b/giu, "2 days ago"],
+    [/\bd[ií]as?\s+h[aá]bil(?:es)?\b/giu, "business days"],
+    [/^hace\s+(.+)$/iu, "$1 ago"],
+    [/\b(\p{L}+)\s+(?:pasad[oa]|anterior)\b/giu, "last $1"],
+    [/\b(\p{L}+)\s+que\s+viene\b/giu, "next $1"],
+    [/\btod[oa]s\s+l[oa]s\b/giu, "every"],
+    [
+      /\b(?:antes|despu[eé]s)\s+del?\b/giu,
+      (phrase) => (/^antes/i.test(phrase) ? "before" : "after"),
+    ],
+    [/\bdentro\s+de\b/giu, "in"],
+    [/\ba\s+las?\b/giu, "at"],
+    [/\by\s+media\b/giu, "and a half"],
+    [/\bde\s+(\d{4})\b/giu, "$1"],
+  ],
+  words: {
+    enero: "january",
+    febrero: "february",
+    marzo: "march",
+    abril: "april",
+    mayo: "may",
+    junio: "june",
+    julio: "july",
+    agosto: "august",
+    septiembre: "september",
+    setiembre: "september",
+    octubre: "october",
+    noviembre: "november",
+    diciembre: "december",
+    lunes: "monday",
+    martes: "tuesday",
+    miercoles: "wednesday",
+    jueves: "thursday",
+    viernes: "friday",
+    sabado: "saturday",
+    domingo: "sunday",
+    hoy: "today",
+    manana: "tomorrow",
+    ayer: "yesterday",
+    ahora: "now",
+    proximo: "next",
+    proxima: "next",
+    siguiente: "next",
+    este: "this",
+    esta: "this",
+    ultimo: "last",
+    ultima: "last",
+    dia: "day",
+    dias: "days",
+    semana: "week",
+    semanas: "weeks",
+    mes: "month",
+    meses: "months",
+    trimestre: "quarter",
+    trimestres: "quarters",
+    ano: "year",
+    anos: "years",
+    hora: "hour",
+    horas: "hours",
+    minuto: "minute",
+    minutos: "minutes",
+    segundo: "second",
+    segunda: "second",
+    segundos: "seconds",
+    un: "one",
+    uno: "one",
+    una: "one",
+    dos: "two",
+    tres: "three",
+    cuatro: "four",
+    cinco: "five",
+    seis: "six",
+    siete: "seven",
+    ocho: "eight",
+    nueve: "nine",
+    diez: "ten",
+    once: "eleven",
+    doce: "twelve",
+    quince: "fifteen",
+    veinte: "twenty",
+    treinta: "thirty",
+    primer: "first",
+    primero: "first",
+    primera: "first",
+    tercer: "third",
+    tercero: "third",
+    tercera: "third",
+    cuarto: "fourth",
+    cuarta: "fourth",
+    quinto: "fifth",
+    quinta: "fifth",
+    fin: "end",
+    principio: "beginning",
+    inicio: "beginning",
+    mediodia: "noon",
+    medianoche: "midnight",
+    cada: "every",
+    de: "of",
+    del: "of",
+    en: "in",
+    y: "and",
+    antes: "before",
+    despues: "after",
+    el: "",
+    la: "",
+    los: "",
+    las: "",
+  },
+});
+
+/** @type {Locale} */
+const GERMAN = Object.freeze({
+  code: "de",
+  dateFnsLocale: de,
+  formats: {
+    date: "d. MMMM yyyy",
+    dateTime: "d. MMMM yyyy 'um' HH:mm",
+    time: "HH:mm",
+    calendarTime: "'um' HH:mm 'Uhr'",
+    lastWeekday: "'Letzten' EEEE",
+  },
+  phrases: [
+    [/^vor\s+(\S+\s+\p{L}+)$/iu, "$1 ago"],
+    // "Ende des Monats", "Ende nächsten Monats" and "Ende Mai" are all "end of"
+    [/\b(ende|anfang|beginn)(?:\s+(?:des|der))?(?=\s+\p{L})/giu, "$1 of"],
+    [/\b(?:an|ein)derthalb\b/giu, "one and a half"],
+    [/\beineinhalb\b/giu, "one and a half"],
+    // "am Freitag" but not "9 am"
+    [/(?<!\d\s*)\bam\b/giu, ""],
+    [/\b(\d{1,2})\.(?=\s)/gu, "$1"],
+  ],
+  words: {
+    januar: "january",
+    janner: "january",
+    februar: "february",
+    marz: "march",
+    april: "april",
+    mai: "may",
+    juni: "june",
+    juli: "july",
+    august: "august",
+    september: "september",
+    oktober: "october",
+    november: "november",
+    dezember: "december",
+    montag: "monday",
+    dienstag: "tuesday",
+    mittwoch: "wednesday",
+    donnerstag: "thursday",
+    freitag: "friday",
+    samstag: "saturday",
+    sonnabend: "saturday",
+    sonntag: "sunday",
+    heute: "today",
+    morgen: "tomorrow",
+    gestern: "yesterday",
+    jetzt: "now",
+    ubermorgen: "in 2 days",
+    vorgestern: "2 days ago",
+    nachste: "next",
+    nachsten: "next",
+    nachster: "next",
+    nachstes: "next",
+    kommende: "next",
+    kommenden: "next",
+    kommender: "next",
+    letzte: "last",
+    letzten: "last",
+    letzter: "last",
+    letztes: "last",
+    vergangene: "last",
+    vergangenen: "last",
+    vorige: "last",
+    vorigen: "last",
+    diese: "this",
+    diesen: "this",
+    dieser: "this",
+    dieses: "this",
+    tag: "day",
+    tage: "days",
+    tagen: "days",
+    werktag: "business day",
+    werktage: "business days",
+    werktagen: "business days",
+    woche: "week",
+    wochen: "weeks",
+    kw: "week",
+    monat: "month",
+    monats: "month",
+    monate: "months",
+    monaten: "months",
+    quartal: "quarter",
+    quartals: "quarter",
+    quartale: "quarters",
+    jahr: "year",
+    jahres: "year",
+    jahre: "years",
+    jahren: "years",
+    stunde: "hour",
+    stunden: "hours",
+    minute: "minute",
+    minuten: "minutes",
+    sekunde: "second",
+    sekunden: "seconds",
+    ein: "one",
+    eine: "one",
+    einen: "one",
+    einem: "one",
+    einer: "one",
+    zwei: "two",
+    drei: "three",
+    vier: "four",
+    funf: "five",
+    sechs: "six",
+    sieben: "seven",
+    acht: "eight",
+    neun: "nine",
+    zehn: "ten",
+    elf: "eleven",
+    zwolf: "twelve",
+    funfzehn: "fifteen",
+    zwanzig: "twenty",
+    dreissig: "thirty",
+    erste: "first",
+    ersten: "first",
+    erster: "first",
+    erstes: "first",
+    zweite: "second",
+    zweiten: "second",
+    zweiter: "second",
+    dritte: "third",
+    dritten: "third",
+    dritter: "third",
+    vierte: "fourth",
+    vierten: "fourth",
+    funfte: "fifth",
+    funften: "fifth",
+    ende: "end",
+    anfang: "beginning",
+    beginn: "beginning",
+    mittag: "noon",
+    mitternacht: "midnight",
+    jede: "every",
+    jeden: "every",
+    jedes: "every",
+    vor: "before",
+    nach: "after",
+    um: "at",
+    im: "of",
+    und: "and",
+    uhr: "",
+    der: "",
+    die: "",
+    das: "",
+    den: "",
+    dem: "",
+    des: "",
+  },
+});
+
+// Locales by language code and name, in English and in the language itself
+const LOCALES = Object.freeze({
+  en: ENGLISH,
+  english: ENGLISH,
+  es: SPANISH,
+  spanish: SPANISH,
+  espanol: SPANISH,
+  de: GERMAN,
+  german: GERMAN,
+  deutsch: GERMAN,
+});
+
+/**
+ * Finds a locale by language code ("es", "de-AT") or name ("Spanish", "Deutsch").
+ * @param {string|Locale} [name] - The language, or an already resolved locale.
+ * @returns {Locale} - The locale, defaulting to English if unknown.
+ */
+export function resolveLocale(name) {
+  if (name && typeof name === "object") return name;
+  const key = stripAccents(
+    String(name || "")
+      .trim()
+      .toLowerCase()
+  );
+  const language = key.split(/[-_]/)[0];
+  if (Object.hasOwn(LOCALES, key)) return LOCALES[key];
+  return Object.hasOwn(LOCALES, language) ? LOCALES[language] : ENGLISH;
+}
+
+/**
+ * Translates an expression written in a locale's language to the English the evaluator parses,
+ * like "próximo lunes" to "next monday" or "vor 3 Tagen" to "3 days ago".
+ * Words the locale doesn't know, including English ones, are kept as is.
+ * @param {string} expr - The expression.
+ * @param {Locale} locale - The locale the expression is written in.
+ * @returns {string} - The translated expression.
+ */
+export function translateExpression(expr, locale) {
+  if (locale === ENGLISH) return expr;
+  const reordered = locale.phrases.reduce(
+    (translated, [pattern, replacement]) => translated.replace(pattern, replacement),
+    expr
+  );
+  return reordered
+    .replace(/\p{L}+/gu, (word) => {
+      const lowerWord = stripAccents(word.toLowerCase());
+      return Object.hasOwn(locale.words, lowerWord) ? locale.words[lowerWord] : word;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Removes accents and umlauts, so "próximo" and "proximo" or "nächsten" and "nachsten" are the same word.
+ * @param {string} text - The text.
+ * @returns {string}
+ */
+export function stripAccents(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
@@ -0,0 +1,70 @@
+// locales.test.js
+import { resolveLocale, translateExpression } from "./locales.js";
+
+describe("Locales", () => {
+  describe("resolveLocale", () => {
+    test.each([
+      ["es", "es"],
+      ["Spanish", "es"],
+      ["Español", "es"],
+      ["es-MX", "es"],
+      ["de_AT", "de"],
+      ["Deutsch", "de"],
+      ["English", "en"],
+    ])("should resolve %s", (name, code) => {
+      expect(resolveLocale(name).code).toBe(code);
+    });
+
+    test("should default to English", () => {
+      expect(resolveLocale().code).toBe("en");
+      expect(resolveLocale("Klingon").code).toBe("en");
+      expect(resolveLocale("constructor").code).toBe("en");
+    });
+
+    test("should keep resolved locales", () => {
+      const spanish = resolveLocale("es");
+      expect(resolveLocale(spanish)).toBe(spanish);
+    });
+  });
+
+  describe("translateExpression", () => {
+    test.each([
+      ["próximo lunes", "next monday"],
+      ["proximo lunes", "next monday"],
+      ["el lunes pasado", "last monday"],
+      ["la semana que viene", "next week"],
+      ["hace 3 días", "3 days ago"],
+      ["dentro de dos semanas", "in two weeks"],
+      ["mañana a las 9", "tomorrow at 9"],
+      ["5 de marzo de 2027", "5 of march 2027"],
+      ["primer lunes de septiembre", "first monday of september"],
+      ["3 días hábiles después del viernes", "3 business days after friday"],
+      ["una semana y media antes de mayo 20", "one week and a half before may 20"],
+    ])("should translate Spanish %s", (expr, expected) => {
+      expect(translateExpression(expr, resolveLocale("es"))).toBe(expected);
+    });
+
+    test.each([
+      ["nächsten Freitag", "next friday"],
+      ["vor 3 Tagen", "3 days ago"],
+      ["2 Tage vor Freitag", "2 days before friday"],
+      ["morgen um 9 Uhr", "tomorrow at 9"],
+      ["am 5. März", "5 march"],
+      ["Ende des nächsten Monats", "end of next month"],
+      ["Ende nächsten Monats", "end of next month"],
+      ["Anfang Mai", "beginning of may"],
+      ["erster Montag im September", "first monday of september"],
+      ["anderthalb Wochen nach Freitag", "one and a half weeks after friday"],
+      ["9 am", "9 am"],
+    ])("should translate German %s", (expr, expected) => {
+      expect(translateExpression(expr, resolveLocale("de"))).toBe(expected);
+    });
+
+    test("should keep unknown words and English expressions", () => {
+      expect(translateExpression("next monday", resolveLocale("es"))).toBe("next monday");
+      expect(translateExpression("Día del Fundador", resolveLocale("es"))).toBe("day of Fundador");
+      expect(translateExpression("mañana", resolveLocale("en"))).toBe("mañana");
+      expect(translateExpression("constructor", resolveLocale("de"))).toBe("constructor");
+    });
+  });
+});
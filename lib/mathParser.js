@@ -0,0 +1,263 @@
+// mathParser.js
+
+/**
+ * A node of a parsed math expression, shaped like the ESTree nodes of JavaScript parsers.
+ * @typedef {Object} MathNode
+ * @property {string} type - 'Literal', 'Identifier', 'MemberExpression', 'UnaryExpression', 'BinaryExpression'
+ * or 'CallExpression'.
+ * @property {number} start - The offset of the node in the expression.
+ * @property {number} end - The offset after the node.
+ * @property {number} [value] - The number of literals.
+ * @property {string} [name] - The name of identifiers, e.g. "pi".
+ * @property {string} [operator] - The operator of unary and binary expressions, e.g. "-" or "**".
+ * @property {MathNode} [argument] - The operand of unary expressions.
+ * @property {MathNode} [left] - The left operand of binary expressions.
+ * @property {MathNode} [right] - The right operand of binary expressions.
+ * @property {MathNode} [object] - The object of member expressions, like the "Math" of "Math.max".
+ * @property {MathNode} [property] - The property identifier of member expressions.
+ * @property {MathNode} [callee] - The function identifier or member expression of calls.
+ * @property {MathNode[]} [arguments] - The arguments of calls.
+ */
+
+/**
+ * A syntax error in a math expression, like an unexpected character or a missing parenthesis.
+ */
+export class MathSyntaxError extends Error {
+  /**
+   * @param {string} message - The message, including the character the error is at.
+   * @param {number} position - The offset of the error in the expression.
+   */
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+// Precedence of binary operators, and if they group from the right like 2 ** 3 ** 2
+const BINARY_OPERATORS = Object.freeze({
+  "+": { precedence: 1 },
+  "-": { precedence: 1 },
+  "*": { precedence: 2 },
+  "/": { precedence: 2 },
+  "%": { precedence: 2 },
+  "**": { precedence: 4, rightAssociative: true },
+});
+
+// Signs bind tighter than multiplication but looser than powers, so -2 ** 2 is -4
+const UNARY_PRECEDENCE = 3;
+
+// Numbers like "1.5", ".5" or "1e3", identifiers like "pi" and operators
+const TOKEN_PATTERN =
+  /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([a-z_][\w]*)|(\*\*|[-+*/%(),.]))/iy;
+
+/**
+ * Splits a math expression into numbers, identifiers and operators.
+ * @param {string} expr - The math expression.
+ * @returns {Array<{type: string, text: string, start: number, end: number}>} - The tokens, of type
+ * 'number', 'identifier' or 'operator'.
+ * @throws {MathSyntaxError} If the expression has a character that isn't math.
+ */
+export function tokenizeMath(expr) {
+  const tokens = [];
+  let position = 0;
+  while (expr.slice(position).trim()) {
+    TOKEN_PATTERN.lastIndex = position;
+    const tokenMatch = TOKEN_PATTERN.exec(expr);
+    if (!tokenMatch) {
+      const start = position + expr.slice(position).search(/\S/);
+      throw new MathSyntaxError(`Unexpected "${expr[start]}" at character ${start + 1}`, start);
+    }
+    const [text, number, identifier] = tokenMatch;
+    const token = text.trim();
+    const type = number ? "number" : identifier ? "identifier" : "operator";
+    position = TOKEN_PATTERN.lastIndex;
+    tokens.push({ type, text: token, start: position - token.length, end: position });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a math expression with numbers, the operators + - * / % **, parentheses, identifiers like "pi"
+ * and function calls like "round(x, 2)". A number or parenthesis followed right away by an identifier or
+ * parenthesis is multiplied with it, so "2pi" is "2 * pi" and "2(3 + 4)" is "2 * (3 + 4)".
+ * @param {string} expr - The math expression.
+ * @returns {MathNode} - The root node.
+ * @throws {MathSyntaxError} If the expression isn't valid math, with the character the error is at.
+ */
+export function parseMath(expr) {
+  const parser = { expr, tokens: tokenizeMath(expr), index: 0 };
+  const node = parseExpression(parser, 0);
+  const token = parser.tokens[parser.index];
+  if (token) throw unexpected(token);
+  return node;
+}
+
+/**
+ * Parses operators by precedence climbing, starting with operators of at least a precedence.
+ * @param {Object} parser - The parser state.
+ * @param {number} minPrecedence - The lowest precedence to parse.
+ * @returns {MathNode}
+ */
+function parseExpression(parser, minPrecedence) {
+  let left = parseUnary(parser);
+  for (;;) {
+    const token = parser.tokens[parser.index];
+    const implicit = Boolean(token) && isImplicitMultiplication(token, left);
+    const operator = implicit ? BINARY_OPERATORS["*"] : token && BINARY_OPERATORS[token.text];
+    if (!operator || (!implicit && token.type !== "operator")) break;
+    if (operator.precedence < minPrecedence) break;
+
+    if (!implicit) parser.index++;
+    const nextPrecedence = operator.rightAssociative
+      ? operator.precedence
+      : operator.precedence + 1;
+    const right = parseExpression(parser, nextPrecedence);
+    left = {
+      type: "BinaryExpression",
+      operator: implicit ? "*" : token.text,
+      left,
+      right,
+      start: left.start,
+      end: right.end,
+    };
+  }
+  return left;
+}
+
+/**
+ * Parses signs like "-5" or "+32", or an operand without one.
+ * @param {Object} parser - The parser state.
+ * @returns {MathNode}
+ */
+function parseUnary(parser) {
+  const token = parser.tokens[parser.index];
+  if (!token || token.type !== "operator" || (token.text !== "-" && token.text !== "+")) {
+    return parsePrimary(parser);
+  }
+  parser.index++;
+  const argument = parseExpression(parser, UNARY_PRECEDENCE);
+  return {
+    type: "UnaryExpression",
+    operator: token.text,
+    argument,
+    start: token.start,
+    end: argument.end,
+  };
+}
+
+/**
+ * Parses a number, an identifier like "pi" or "Math.PI", a function call or an expression in parentheses.
+ * @param {Object} parser - The parser state.
+ * @returns {MathNode}
+ */
+function parsePrimary(parser) {
+  const token = parser.tokens[parser.index++];
+  if (!token) throw endOfExpression(parser);
+  const { start, end } = token;
+  if (token.type === "number") return { type: "Literal", value: Number(token.text), start, end };
+
+  if (token.type === "identifier") {
+    let callee = { type: "Identifier", name: token.text, start, end };
+    while (
+      isOperator(parser.tokens[parser.index], ".") &&
+      parser.tokens[parser.index + 1] &&
+      parser.tokens[parser.index + 1].type === "identifier"
+    ) {
+      const property = parser.tokens[parser.index + 1];
+      parser.index += 2;
+      callee = {
+        type: "MemberExpression",
+        object: callee,
+        property: {
+          type: "Identifier",
+          name: property.text,
+          start: property.start,
+          end: property.end,
+        },
+        start,
+        end: property.end,
+      };
+    }
+    if (!isOperator(parser.tokens[parser.index], "(")) return callee;
+    const open = parser.tokens[parser.index++];
+    const args = [];
+    while (!isOperator(parser.tokens[parser.index], ")")) {
+      if (args.length > 0) expectOperator(parser, ",", open);
+      args.push(parseExpression(parser, 0));
+    }
+    const close = parser.tokens[parser.index++];
+    return { type: "CallExpression", callee, arguments: args, start, end: close.end };
+  }
+
+  if (token.text === "(") {
+    const node = parseExpression(parser, 0);
+    const close = expectOperator(parser, ")", token);
+    return { ...node, start, end: close.end };
+  }
+  throw unexpected(token);
+}
+
+/**
+ * Checks if a token right after an operand multiplies it, like the "pi" in "2pi" or the "(" in "2(3 + 4)".
+ * Words after a space, like the "$" placeholder in "3 $ 2", are other text.
+ * @param {Object} token - The token after the operand.
+ * @param {MathNode} operand - The operand.
+ * @returns {boolean}
+ */
+function isImplicitMultiplication(token, operand) {
+  return token.start === operand.end && (token.type === "identifier" || isOperator(token, "("));
+}
+
+/**
+ * Consumes an operator that must come next inside parentheses, like a "," or the closing ")".
+ * @param {Object} parser - The parser state.
+ * @param {string} operator - The operator.
+ * @param {Object} opening - The "(" token of the parentheses.
+ * @returns {Object} - The operator token.
+ * @throws {MathSyntaxError} If the next token is another one.
+ */
+function expectOperator(parser, operator, opening) {
+  const token = parser.tokens[parser.index];
+  if (isOperator(token, operator)) {
+    parser.index++;
+    return token;
+  }
+  if (!token) {
+    throw new MathSyntaxError(
+      `Missing ")" for the "(" at character ${opening.start + 1}`,
+      parser.expr.length
+    );
+  }
+  throw unexpected(token);
+}
+
+/**
+ * Checks if a token is an operator.
+ * @param {Object} [token] - The token.
+ * @param {string} operator - The operator, e.g. "(".
+ * @returns {boolean}
+ */
+function isOperator(token, operator) {
+  return Boolean(token) && token.type === "operator" && token.text === operator;
+}
+
+/**
+ * Creates the error for a token that can't be where it is.
+ * @param {Object} token - The token.
+ * @returns {MathSyntaxError}
+ */
+function unexpected(token) {
+  return new MathSyntaxError(
+    `Unexpected "${token.text}" at character ${token.start + 1}`,
+    token.start
+  );
+}
+
+/**
+ * Creates the error for an expression that ends where an operand should be, like "3 +".
+ * @param {Object} parser - The parser state.
+ * @returns {MathSyntaxError}
+ */
+function endOfExpression(parser) {
+  return new MathSyntaxError("Unexpected end of expression", parser.expr.length);
+}
@@ -0,0 +1,92 @@
+// mathParser.test.js
+import { MathSyntaxError, parseMath, tokenizeMath } from "./mathParser.js";
+
+/**
+ * Prints a parsed math expression with parentheses around every operation, to compare precedence.
+ * @param {Object} node - The root node.
+ * @returns {string}
+ */
+function print(node) {
+  switch (node.type) {
+    case "Literal":
+      return String(node.value);
+    case "Identifier":
+      return node.name;
+    case "MemberExpression":
+      return `${print(node.object)}.${print(node.property)}`;
+    case "UnaryExpression":
+      return `(${node.operator}${print(node.argument)})`;
+    case "BinaryExpression":
+      return `(${print(node.left)} ${node.operator} ${print(node.right)})`;
+    case "CallExpression":
+      return `${print(node.callee)}(${node.arguments.map(print).join(", ")})`;
+  }
+}
+
+describe("Math Parser", () => {
+  test("tokenizeMath should split numbers, identifiers and operators with their offsets", () => {
+    expect(tokenizeMath("2.5 ** .5e1")).toEqual([
+      { type: "number", text: "2.5", start: 0, end: 3 },
+      { type: "operator", text: "**", start: 4, end: 6 },
+      { type: "number", text: ".5e1", start: 7, end: 11 },
+    ]);
+  });
+
+  test.each([
+    ["1 + 2 * 3", "(1 + (2 * 3))"],
+    ["12 - 3 - 1", "((12 - 3) - 1)"],
+    ["(1 + 2) * 3", "((1 + 2) * 3)"],
+    ["2 ** 3 ** 2", "(2 ** (3 ** 2))"],
+    ["-2 ** 2", "(-(2 ** 2))"],
+    ["2 ** -1", "(2 ** (-1))"],
+    ["-5 * +2", "((-5) * (+2))"],
+    ["13 % 5 / 2", "((13 % 5) / 2)"],
+    ["round(10 / 3, 2)", "round((10 / 3), 2)"],
+    ["pi()", "pi()"],
+    ["Math.max(1, 2)", "Math.max(1, 2)"],
+  ])("should parse %s as %s", (expr, printed) => {
+    expect(print(parseMath(expr))).toBe(printed);
+  });
+
+  test.each([
+    ["2pi", "(2 * pi)"],
+    ["2(3 + 4)", "(2 * (3 + 4))"],
+    ["(1 + 2)(3 + 4)", "((1 + 2) * (3 + 4))"],
+    ["3sqrt(16)", "(3 * sqrt(16))"],
+    ["1 / 2pi", "((1 / 2) * pi)"],
+  ])("should multiply %s implicitly", (expr, printed) => {
+    expect(print(parseMath(expr))).toBe(printed);
+  });
+
+  test("should only multiply implicitly without a space", () => {
+    expect(() => parseMath("3 __quantity0")).toThrow('Unexpected "__quantity0" at character 3');
+  });
+
+  test("should keep the offsets of nodes", () => {
+    expect(parseMath(" (1 + 2) * 3")).toMatchObject({
+      start: 1,
+      end: 12,
+      left: { start: 1, end: 8 },
+    });
+  });
+
+  test.each([
+    ["3 $ 2", 'Unexpected "$" at character 3', 2],
+    ["3 +", "Unexpected end of expression", 3],
+    ["(1 + 2", 'Missing ")" for the "(" at character 1', 6],
+    ["round(3,)", 'Unexpected ")" at character 9', 8],
+    ["max(1 2)", 'Unexpected "2" at character 7', 6],
+    ["1 + 2)", 'Unexpected ")" at character 6', 5],
+    ["", "Unexpected end of expression", 0],
+  ])("should report where %s is invalid", (expr, message, position) => {
+    let error;
+    try {
+      parseMath(expr);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(MathSyntaxError);
+    expect(error.message).toBe(message);
+    expect(error.position).toBe(position);
+  });
+});
@@ -0,0 +1,167 @@
+// numberFormat.js
+
+const ONES = [
+  "zero",
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+  "eleven",
+  "twelve",
+  "thirteen",
+  "fourteen",
+  "fifteen",
+  "sixteen",
+  "seventeen",
+  "eighteen",
+  "nineteen",
+];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = ["", "thousand", "million", "billion", "trillion"];
+
+const ORDINAL_SUFFIXES = { one: "st", two: "nd", few: "rd", other: "th" };
+
+// A pattern like "$#,##0.00", "0.0%" or "000": a literal prefix, digit placeholders with optional
+// grouping and decimals, an optional percent sign and a literal suffix. Prefixes without letters and
+// affixes without digits or date separators keep date formats like "HH:00" or "yyyy-MM-01" apart
+const NUMBER_PATTERN =
+  /^([^\p{L}\d#:/.-]*)([#,]*0[0,]*|#[#,]*)(?:\.([0#]+))?(%?)((?![:/.-])[^#\d]*)$/u;
+
+// The most digits Intl.NumberFormat can pad numbers to
+const MAX_INTEGER_DIGITS = 21;
+const MAX_FRACTION_DIGITS = 100;
+
+/**
+ * Checks if a format specifier is a number format rather than a date format.
+ * @param {string} specifier - The format specifier, e.g. "0.00" or "yyyy-MM-dd".
+ * @returns {boolean}
+ */
+export function isNumberFormat(specifier) {
+  return (
+    specifier === "%" ||
+    specifier === "words" ||
+    specifier === "ordinal" ||
+    NUMBER_PATTERN.test(specifier)
+  );
+}
+
+/**
+ * Describes what a number format shows besides the digits, so the units of quantities aren't shown twice.
+ * @param {string} specifier - The number format specifier, e.g. "$#,##0.00", "0.0%" or "words".
+ * @returns {{prefix: boolean, percent: boolean, words: boolean}} - If the format has a prefix like "$",
+ * shows a percentage and spells the number out.
+ */
+export function describeNumberFormat(specifier) {
+  const match = specifier.match(NUMBER_PATTERN);
+  return {
+    prefix: Boolean(match && match[1]),
+    percent: specifier === "%" || Boolean(match && match[4]),
+    words: specifier === "words",
+  };
+}
+
+/**
+ * Formats a number with a format specifier:
+ * - Patterns like "0.00", "#,##0", "$#,##0.00" or "0.0%". A "0" is a digit that is always shown,
+ *   a "#" is a digit that is only shown if needed, a "," groups thousands and a "%" multiplies by 100.
+ *   Other characters before and after the pattern are kept as is.
+ * - "%" for a whole percentage, e.g. 0.25 is "25%".
+ * - "words" to spell the number out, e.g. 42 is "forty-two".
+ * - "ordinal" for ordinal numbers, e.g. 3 is "3rd".
+ * @param {number} value - The number to format.
+ * @param {string} specifier - The format specifier.
+ * @returns {string|null} - The formatted number or null if the specifier isn't a number format or has
+ * more digits than can be shown.
+ */
+export function formatNumber(value, specifier) {
+  if (!Number.isFinite(value)) return null;
+  if (specifier === "%") {
+    return new Intl.NumberFormat("en-US", { style: "percent" }).format(value);
+  }
+  if (specifier === "words") {
+    return numberToWords(value);
+  }
+  if (specifier === "ordinal") {
+    return Number.isInteger(value) ? toOrdinal(value) : null;
+  }
+
+  const match = specifier.match(NUMBER_PATTERN);
+  if (!match) return null;
+  const [, prefix, integerPattern, decimalPattern = "", percent, suffix] = match;
+  const integerDigits = (integerPattern.match(/0/g) || []).length;
+  if (integerDigits > MAX_INTEGER_DIGITS || decimalPattern.length > MAX_FRACTION_DIGITS)
+    return null;
+
+  const formatter = new Intl.NumberFormat("en-US", {
+    style: percent ? "percent" : "decimal",
+    useGrouping: integerPattern.includes(","),
+    minimumIntegerDigits: Math.max(1, integerDigits),
+    minimumFractionDigits: (decimalPattern.match(/0/g) || []).length,
+    maximumFractionDigits: decimalPattern.length,
+  });
+  // Keep the sign in front of a prefix like "$", e.g. "-$5.00" rather than "$-5.00"
+  const formatted = formatter.format(Math.abs(value));
+  const sign = value < 0 && /[1-9]/.test(formatted) ? "-" : "";
+  return `${sign}${prefix}${formatted}${suffix}`;
+}
+
+/**
+ * Adds the English ordinal suffix to an integer, e.g. 1st, 22nd, 113th.
+ * @param {number} value - The integer.
+ * @returns {string}
+ */
+function toOrdinal(value) {
+  const rule = new Intl.PluralRules("en-US", { type: "ordinal" }).select(value);
+  return `${value}${ORDINAL_SUFFIXES[rule]}`;
+}
+
+/**
+ * Spells a number out in English words, e.g. -1,042.5 is "minus one thousand forty-two point five".
+ * @param {number} value - The number.
+ * @returns {string|null} - The number in words or null if it's too large to spell out.
+ */
+function numberToWords(value) {
+  // Numbers in exponential notation are too large or small to spell out
+  const digits = Math.abs(value).toString();
+  if (digits.includes("e")) return null;
+  const [integerPart, decimalPart] = digits.split(".");
+  const integer = parseInt(integerPart, 10);
+  if (integer >= 1000 ** SCALES.length) return null;
+
+  let words = integer === 0 ? ONES[0] : integerToWords(integer);
+  if (decimalPart) {
+    words += " point " + [...decimalPart].map((digit) => ONES[digit]).join(" ");
+  }
+  return value < 0 ? `minus ${words}` : words;
+}
+
+/**
+ * Spells a positive integer out in English words.
+ * @param {number} integer - The integer, greater than zero.
+ * @returns {string}
+ */
+function integerToWords(integer) {
+  const groups = [];
+  for (let scale = 0; integer > 0; scale++, integer = Math.floor(integer / 1000)) {
+    const group = integer % 1000;
+    if (group === 0) continue;
+    const hundreds = Math.floor(group / 100);
+    const rest = group % 100;
+    const parts = [];
+    if (hundreds > 0) parts.push(`${ONES[hundreds]} hundred`);
+    if (rest >= 20) {
+      parts.push(TENS[Math.floor(rest / 10)] + (rest % 10 > 0 ? `-${ONES[rest % 10]}` : ""));
+    } else if (rest > 0) {
+      parts.push(ONES[rest]);
+    }
+    if (SCALES[scale]) parts.push(SCALES[scale]);
+    groups.unshift(parts.join(" "));
+  }
+  return groups.join(" ");
+}
@@ -0,0 +1,76 @@
+// numberFormat.test.js
+import { describeNumberFormat, formatNumber, isNumberFormat } from "./numberFormat.js";
+
+describe("Number Format", () => {
+  describe("formatNumber", () => {
+    test.each([
+      [10 / 3, "0.00", "3.33"],
+      [2, "0.00", "2.00"],
+      [2.5, "0.##", "2.5"],
+      [7, "000", "007"],
+      [1234567.891, "#,##0", "1,234,568"],
+      [1234.5, "$#,##0.00", "$1,234.50"],
+      [-1234.5, "$#,##0.00", "-$1,234.50"],
+      [-0.001, "0.00", "0.00"],
+      [1.5, "0.0 hours", "1.5 hours"],
+      [0.256, "0.0%", "25.6%"],
+      [0.25, "%", "25%"],
+    ])("should format %d with pattern %s", (value, specifier, expected) => {
+      expect(formatNumber(value, specifier)).toBe(expected);
+    });
+
+    test.each([
+      [0, "zero"],
+      [42, "forty-two"],
+      [100, "one hundred"],
+      [1000000, "one million"],
+      [1042.5, "one thousand forty-two point five"],
+      [-7, "minus seven"],
+    ])("should spell %d out in words", (value, expected) => {
+      expect(formatNumber(value, "words")).toBe(expected);
+    });
+
+    test.each([
+      [1, "1st"],
+      [2, "2nd"],
+      [3, "3rd"],
+      [11, "11th"],
+      [22, "22nd"],
+      [113, "113th"],
+    ])("should format %d as an ordinal", (value, expected) => {
+      expect(formatNumber(value, "ordinal")).toBe(expected);
+    });
+
+    test("should return null for numbers that can't be formatted", () => {
+      expect(formatNumber(2.5, "ordinal")).toBeNull();
+      expect(formatNumber(1e21, "words")).toBeNull();
+      expect(formatNumber(Infinity, "0.00")).toBeNull();
+      expect(formatNumber(5, "yyyy")).toBeNull();
+      expect(formatNumber(1, "0".repeat(22))).toBeNull();
+      expect(formatNumber(1, `0.${"0".repeat(101)}`)).toBeNull();
+    });
+  });
+
+  test("isNumberFormat should tell number formats from date formats", () => {
+    expect(isNumberFormat("0.00")).toBe(true);
+    expect(isNumberFormat("$#,##0.00")).toBe(true);
+    expect(isNumberFormat("%")).toBe(true);
+    expect(isNumberFormat("words")).toBe(true);
+    expect(isNumberFormat("ordinal")).toBe(true);
+    expect(isNumberFormat("yyyy-MM-dd")).toBe(false);
+    expect(isNumberFormat("RRRR-'W'II")).toBe(false);
+    expect(isNumberFormat("HH:00")).toBe(false);
+    expect(isNumberFormat("yyyy-MM-01")).toBe(false);
+    expect(isNumberFormat("0 days")).toBe(true);
+  });
+
+  test.each([
+    ["$#,##0.00", { prefix: true, percent: false, words: false }],
+    ["0.0%", { prefix: false, percent: true, words: false }],
+    ["%", { prefix: false, percent: true, words: false }],
+    ["words", { prefix: false, percent: false, words: true }],
+    ["0 days", { prefix: false, percent: false, words: false }],
+  ])("describeNumberFormat should describe %s", (specifier, description) => {
+    expect(describeNumberFormat(specifier)).toEqual(description);
+  });
+});
@@ -1,7 +1,9 @@
 // Templater plugin.js
 import { evaluateExpression } from "./evaluator";
+import { resolveLocale } from "./locales";
+import { formatQuantity } from "./quantities";
 import { generateUUID, generateShortUUID } from "./uuid";
-import { format, startOfTomorrow } from "date-fns"; // Importing date-fns for date formatting
+import { addYears, format, parse, isValid, set, startOfTomorrow } from "date-fns"; // Importing date-fns for date formatting
 import embedHtml from "../templates/embed.html";
 import expiryStorage from "./expiryStorage";
 import { escapeRegex } from "./utilities";
@@ -206,29 +208,211 @@ function extractSection(markdown, sectionName, sectionInner = false) {
 // Expression Evaluation
 // =============================
 
+/**
+ * Detects the date encoded in a note name, like the "October 12th, 2026" name of a daily jot.
+ * The default "MMMM do, yyyy" naming is always tried, followed by the date format of the language,
+ * like "12. Oktober 2026" in German, and any user configured formats.
+ * @param {Object} app - The app instance
+ * @param {string} noteName - The name of the note
+ * @param {string} [localeName] - The language of expressions and dates from the settings
+ * @returns {Date|null} - The date of the note or null if the name doesn't encode one
+ */
+function detectNoteDate(app, noteName, localeName) {
+  if (!noteName) return null;
+
+  const locale = resolveLocale(localeName);
+  const configuredFormats = (app.settings[Settings.NOTE_DATE_FORMATS] || "")
+    .split(";")
+    .map((dateFormat) => dateFormat.trim())
+    .filter((dateFormat) => dateFormat !== "");
+  const dateFormats = [
+    [Settings.defaults.NOTE_DATE_FORMAT, {}],
+    ...[locale.formats.date, ...configuredFormats].map((dateFormat) => [
+      dateFormat,
+      { locale: locale.dateFnsLocale },
+    ]),
+  ];
+
+  const now = new Date();
+  for (const [dateFormat, parseOptions] of dateFormats) {
+    const noteDate = parse(noteName.trim(), dateFormat, now, parseOptions);
+    if (isValid(noteDate)) {
+      // Keep the current time of day so time expressions like {Now} still make sense
+      return set(noteDate, {
+        hours: now.getHours(),
+        minutes: now.getMinutes(),
+        seconds: now.getSeconds(),
+        milliseconds: now.getMilliseconds(),
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a setting of named values, like the custom observances "Founders Day = March 3; Review Day = Last Friday of June"
+ * or the times of day "Morning = 8:00; End of Day = 6pm".
+ * @param {string} setting - The setting value
+ * @returns {Object<string, string>} - The value of each name
+ */
+function parseNamedValues(setting) {
+  const values = {};
+  setting.split(";").forEach((entry) => {
+    const separatorIndex = entry.indexOf("=");
+    if (separatorIndex === -1) return;
+    const name = entry.slice(0, separatorIndex).trim();
+    const value = entry.slice(separatorIndex + 1).trim();
+    if (name && value) values[name] = value;
+  });
+  return values;
+}
+
+/**
+ * Loads the holidays skipped by business day expressions from the holidays setting and holidays note.
+ * Each holiday is an ISO date like "2024-12-25" or a date expression like "December 25" or
+ * "Last Monday of May", which is evaluated in the year of the evaluator options and the years around it,
+ * so business days can be counted past New Year.
+ * @param {Object} app - The app instance
+ * @param {Object} options - The evaluator options to evaluate holiday expressions with
+ * @param {Array<{expression: string, reason: string}>} [diagnostics] - Collects the holidays that aren't dates
+ * @returns {Promise<Date[]>} - The holiday dates
+ */
+async function loadHolidays(app, options, diagnostics = []) {
+  const entries = (app.settings[Settings.HOLIDAYS] || "").split(";");
+
+  const holidaysNoteName = app.settings[Settings.HOLIDAYS_NOTE];
+  if (holidaysNoteName) {
+    const holidaysNote = await app.notes.find({ name: holidaysNoteName.trim() });
+    if (holidaysNote) {
+      const content = await holidaysNote.content();
+      // One holiday per line, ignoring headings and list markers
+      content
+        .split("\n")
+        .filter((line) => !line.trim().startsWith("#"))
+        .forEach((line) => entries.push(line.replace(/^\s*(?:[-*+]|\d+\.)\s+/, "")));
+    }
+  }
+
+  const now = options.now || new Date();
+  const holidays = [];
+  for (const entry of entries.map((entry) => entry.trim()).filter((entry) => entry !== "")) {
+    const isoDate = parse(entry, "yyyy-MM-dd", now);
+    if (isValid(isoDate)) {
+      holidays.push(isoDate);
+      continue;
+    }
+    // Holidays without a year fall in the year they are evaluated in, regardless of the year rollover setting
+    const evaluations = [-1, 0, 1].map((yearOffset) =>
+      evaluateExpression(`{${entry}}`, {
+        ...options,
+        now: addYears(now, yearOffset),
+        yearRollover: "none",
+      })
+    );
+    if (!evaluations.some((evaluation) => evaluation.type === "date")) {
+      diagnostics.push({
+        expression: `Holiday "${entry}"`,
+        reason: evaluations[1].reason || "Not a date",
+      });
+    }
+    for (const evaluation of evaluations) {
+      const isNew =
+        evaluation.type === "date" &&
+        !holidays.some((holiday) => holiday.getTime() === evaluation.result.getTime());
+      if (isNew) holidays.push(evaluation.result);
+    }
+  }
+  return holidays;
+}
+
+/**
+ * Builds the evaluator options for expressions inserted into a note from the plugin settings.
+ * Expressions are anchored to the date of the target note if its name encodes one.
+ * @param {Object} app - The app instance
+ * @param {Object} [targetNote] - The note the evaluated expressions are being inserted into
+ * @param {Array<{expression: string, reason: string}>} [diagnostics] - Collects the holidays and
+ * custom observances that aren't dates
+ * @returns {Promise<Object>} - The options to pass to evaluateExpression
+ */
+async function buildEvaluatorOptions(app, targetNote = null, diagnostics = []) {
+  const options = {};
+  if (app.settings[Settings.WEEK_START]) {
+    options.weekStartsOn = app.settings[Settings.WEEK_START];
+  }
+  if (app.settings[Settings.FISCAL_YEAR_START]) {
+    options.fiscalYearStartMonth = app.settings[Settings.FISCAL_YEAR_START];
+  }
+  if (app.settings[Settings.YEAR_ROLLOVER]) {
+    options.yearRollover = app.settings[Settings.YEAR_ROLLOVER];
+  }
+  if (app.settings[Settings.DATE_ORDER]) {
+    options.dateOrder = app.settings[Settings.DATE_ORDER].trim();
+  }
+  if (app.settings[Settings.HOLIDAY_REGIONS]) {
+    options.holidayRegions = app.settings[Settings.HOLIDAY_REGIONS];
+  }
+  if (app.settings[Settings.CUSTOM_OBSERVANCES]) {
+    options.customObservances = parseNamedValues(app.settings[Settings.CUSTOM_OBSERVANCES]);
+  }
+  if (app.settings[Settings.TIMES_OF_DAY]) {
+    options.timesOfDay = parseNamedValues(app.settings[Settings.TIMES_OF_DAY]);
+  }
+  if (app.settings[Settings.BARE_HOURS]) {
+    options.bareHours = app.settings[Settings.BARE_HOURS].trim();
+  }
+  if (app.settings[Settings.LOCALE]) {
+    options.locale = app.settings[Settings.LOCALE].trim();
+  }
+  const noteDate = targetNote ? detectNoteDate(app, targetNote.name, options.locale) : null;
+  if (noteDate) {
+    options.now = noteDate;
+  }
+  options.holidays = await loadHolidays(app, options, diagnostics);
+  // Observances are evaluated as they are used, so check them up front like the holidays
+  for (const [name, expression] of Object.entries(options.customObservances || {})) {
+    const evaluation = evaluateExpression(`{${expression}}`, {
+      ...options,
+      customObservances: {},
+      yearRollover: "none",
+    });
+    if (evaluation.type === "unhandled") {
+      diagnostics.push({
+        expression: `Custom observance "${name} = ${expression}"`,
+        reason: evaluation.reason || "Not a date",
+      });
+    }
+  }
+  return options;
+}
+
 /**
  * Evaluates expressions within the link content.
  * @param {string} linkContent - The content of the link
+ * @param {Object} evaluatorOptions - The options to evaluate expressions with
  * @returns {string} - The evaluated content
  */
-function evaluateLinkContent(linkContent) {
+function evaluateLinkContent(linkContent, evaluatorOptions = {}) {
   const innerExpressionRegex = /\{([^}]+)\}/g;
   return linkContent.replace(innerExpressionRegex, (m, expr) => {
-    const evalResult = evaluateExpression(m);
-    return evalResult.type === "date" ? format(evalResult.result, "MMMM do, yyyy") : expr;
+    const evalResult = evaluateExpression(m, evaluatorOptions);
+    if (evalResult.type === "date" || evalResult.type === "weekNumber") {
+      return formatEvaluation(evalResult, evaluatorOptions);
+    }
+    return expr;
   });
 }
 
 /**
  * Evaluate multiple expressions in a string
  * @param {string} expressions - The string with multiple expressions
+ * @param {Object} evaluatorOptions - The options to evaluate expressions with
  * @returns {string} - The evaluated content with default formatting
  */
-function evaluateExpressions(expressions) {
+function evaluateExpressions(expressions, evaluatorOptions = {}) {
   const innerExpressionRegex = /\{([^}]+)\}/g;
   return expressions.replace(innerExpressionRegex, (m, expr) => {
-    const evalResult = evaluateExpression(m);
-    return evalResult.type !== "unhandled" ? formatEvaluation(evalResult) : expr;
+    const evalResult = evaluateExpression(m, evaluatorOptions);
+    return evalResult.type !== "unhandled" ? formatEvaluation(evalResult, evaluatorOptions) : expr;
   });
 }
 
@@ -238,12 +422,19 @@ function evaluateExpressions(expressions) {
  * @param {string} expression - The inner expression
  * @param {boolean} insideContext - If the match is inside a link or task
  * @param {Object} footnoteData - An object holding the footnote counter
+ * @param {Object} evaluatorOptions - The options to evaluate expressions with
  * @returns {string} - The result after evaluation
  */
-function evaluateExpressionAndFootnote(match, expression, insideContext, footnoteData) {
-  const evaluation = evaluateExpression(match);
+function evaluateExpressionAndFootnote(
+  match,
+  expression,
+  insideContext,
+  footnoteData,
+  evaluatorOptions = {}
+) {
+  const evaluation = evaluateExpression(match, evaluatorOptions);
 
-  if (evaluation.type === "math") {
+  if (evaluation.type === "math" || evaluation.type === "weekNumber") {
     const result = evaluation.result;
 
     if (insideContext) {
@@ -254,38 +445,62 @@ function evaluateExpressionAndFootnote(match, expression, insideContext, footnot
   } else if (
     evaluation.type === "date" ||
     evaluation.type === "dateTime" ||
-    evaluation.type === "time"
+    evaluation.type === "time" ||
+    evaluation.type === "quantity"
   ) {
-    const formattedDate = formatEvaluation(evaluation);
+    const formattedDate = formatEvaluation(evaluation, evaluatorOptions);
     return insideContext ? formattedDate : createFootnote(formattedDate, expression, footnoteData);
-  } else if (evaluation.type === "formattedDate") {
+  } else if (evaluation.type === "formattedDate" || evaluation.type === "formattedNumber") {
     return insideContext
       ? evaluation.result
       : createFootnote(evaluation.result, expression, footnoteData);
   } else {
-    return match; // If unhandled, leave the expression as is
+    // If unhandled, leave the expression as is, noting why if it looks like a mistake
+    if (!evaluation.reason) return match;
+    footnoteData.diagnostics.push({ expression: match, reason: evaluation.reason });
+    return footnoteData.markDiagnostics && !insideContext
+      ? match + createDiagnosticFootnote(evaluation.reason, footnoteData)
+      : match;
   }
 }
 
+/**
+ * Creates a footnote explaining why an expression couldn't be evaluated, updating the footnotes array.
+ * @param {string} reason - The reason the expression is unhandled
+ * @param {Object} footnoteData - An object holding the footnote counter
+ * @returns {string} - The footnote reference string
+ */
+function createDiagnosticFootnote(reason, footnoteData) {
+  const footnoteIndex = footnoteData.counter++;
+  footnoteData.content.push(`[^templater-${footnoteData.prefix}-${footnoteIndex}]: ⚠️ ${reason}`);
+  return `[^templater-${footnoteData.prefix}-${footnoteIndex}]`;
+}
+
 /**
  * Formats an evaluation to a string according to the type
  * @param {Object} evaluation - The evaluation
+ * @param {Object} evaluatorOptions - The options the expression was evaluated with, for the locale
  * @returns {string} - The formatted date string
  */
-function formatEvaluation(evaluation) {
+function formatEvaluation(evaluation, evaluatorOptions = {}) {
+  const { formats, dateFnsLocale } = resolveLocale(evaluatorOptions.locale);
+  const formatDate = (pattern) =>
+    format(
+      evaluation.result,
+      evaluation.result.getSeconds() > 0 ? pattern.replace("HH:mm", "HH:mm:ss") : pattern,
+      { locale: dateFnsLocale }
+    );
   if (evaluation.type === "dateTime") {
-    return evaluation.result.getSeconds() > 0
-      ? format(evaluation.result, "MMMM do, yyyy 'at' HH:mm:ss")
-      : format(evaluation.result, "MMMM do, yyyy 'at' HH:mm");
+    return formatDate(formats.dateTime);
   } else if (evaluation.type === "date") {
-    return format(evaluation.result, "MMMM do, yyyy");
+    return formatDate(formats.date);
   } else if (evaluation.type === "time") {
-    return evaluation.result.getSeconds() > 0
-      ? format(evaluation.result, "HH:mm:ss")
-      : format(evaluation.result, "HH:mm");
-  } else if (evaluation.type === "math") {
+    return formatDate(formats.time);
+  } else if (evaluation.type === "math" || evaluation.type === "weekNumber") {
     return evaluation.result.toString();
-  } else if (evaluation.type === "formattedDate") {
+  } else if (evaluation.type === "quantity") {
+    return formatQuantity(evaluation.result);
+  } else if (evaluation.type === "formattedDate" || evaluation.type === "formattedNumber") {
     return evaluation.result;
   } else {
     return null;
@@ -353,9 +568,10 @@ async function findOrCreateNote(app, noteName, tag) {
  * Processes each link in the markdown text and returns the modified markdown.
  * @param {Object} app - The app instance
  * @param {string} markdown - The markdown content
- * @returns {Promise<Object{markdown, linkedTemplateFoonotes, linkedTemplateTaskUUIDs}>} - The processed markdown, link footnotes and link tasks
+ * @param {Object} evaluatorOptions - The options to evaluate expressions with
+ * @returns {Promise<Object{markdown, linkedTemplateFoonotes, linkedTemplateTaskUUIDs, linkedTemplateDiagnostics}>} - The processed markdown, link footnotes, link tasks and unhandled expressions of linked templates
  */
-async function processLinks(app, markdown) {
+async function processLinks(app, markdown, evaluatorOptions = {}) {
   // Updated regex to capture optional flag ("?", "_", "=", "#>", "#"), link content, section, and alias
   const linkRegex = /\\\[\\\[(\??_?=?)?([^\]#|]+?)(?:#(>?)([^\]|]+))?(?:\\\|([^\]]+))?\\\]\\\]/g;
   // Match dynamic template expressions too as an alias
@@ -364,6 +580,7 @@ async function processLinks(app, markdown) {
 
   const linkedTemplateTaskUUIDs = [];
   const linkedTemplateFootnotes = [];
+  const linkedTemplateDiagnostics = [];
 
   for (const match of matches) {
     const fullMatch = match[0]; // e.g., [[Note Name]] or [[tag/Note Name]]
@@ -376,8 +593,8 @@ async function processLinks(app, markdown) {
     const alias = match[5]; // e.g., "Display Name" (optional)
 
     // Evaluate expressions within the link content and section
-    linkContent = evaluateLinkContent(linkContent);
-    if (section) section = evaluateLinkContent(section);
+    linkContent = evaluateLinkContent(linkContent, evaluatorOptions);
+    if (section) section = evaluateLinkContent(section, evaluatorOptions);
 
     // Extract tag and note name
     const { tag, noteName } = extractTagAndNoteName(linkContent);
@@ -417,13 +634,15 @@ async function processLinks(app, markdown) {
       }
 
       // It's a template!
-      const { templateMarkdown, footnotes, newTaskUUIDs } = await processTemplate(
+      const { templateMarkdown, footnotes, newTaskUUIDs, diagnostics } = await processTemplate(
         app,
         noteHandle.uuid,
-        templateContent
+        templateContent,
+        evaluatorOptions
       );
       linkedTemplateTaskUUIDs.push(...newTaskUUIDs);
       linkedTemplateFootnotes.push(...footnotes);
+      linkedTemplateDiagnostics.push(...diagnostics);
       markdown = smartTemplateInsert(markdown, templateMarkdown, fullMatch);
       // markdown = markdown.replace(fullMatch, templateMarkdown);
       continue;
@@ -446,7 +665,7 @@ async function processLinks(app, markdown) {
     }
   }
 
-  return { markdown, linkedTemplateFootnotes, linkedTemplateTaskUUIDs };
+  return { markdown, linkedTemplateFootnotes, linkedTemplateTaskUUIDs, linkedTemplateDiagnostics };
 }
 
 // =============================
@@ -513,9 +732,10 @@ async function waitForTask(app, taskUUID, maxWaitTime, checkInterval) {
  * Processes tasks in the current note and updates their metadata.
  * @param {Object} app - The app instance
  * @param {Array<string>} newTaskUUIDs - The new task UUIDs we're updating
+ * @param {Object} evaluatorOptions - The options to evaluate expressions with
  * @returns {Promise<void>} - A promise that resolves when processing is complete
  */
-async function processTasks(app, newTaskUUIDs) {
+async function processTasks(app, newTaskUUIDs, evaluatorOptions = {}) {
   const updatePromises = newTaskUUIDs.map(async (taskUUID) => {
     const task = await waitForTask(app, taskUUID, 5000, 100); // Wait for the task to become available
 
@@ -540,7 +760,7 @@ async function processTasks(app, newTaskUUIDs) {
     // Process each match and update metadata and description
     for (const match of matches) {
       const [fullMatch, prefix, expression] = match;
-      const evaluation = evaluateExpression(`{${expression}}`);
+      const evaluation = evaluateExpression(`{${expression}}`, evaluatorOptions);
       if (!["date", "dateTime", "time"].includes(evaluation.type)) continue;
 
       const date = evaluation.result;
@@ -726,12 +946,19 @@ function smartTemplateInsert(baseContent, templateMarkdown, insertionTag) {
  * @param {*} app app reference for processing link and tasks
  * @param {*} templateUuid uuid of the template being inserted
  * @param {*} templateMarkdown template content
- * @returns {templateMarkdown: String, footnoteData: Object, newTaskUUIDs: Array[String]} Returns processed template and new task uuids for post-processing
+ * @param {Object} evaluatorOptions options to evaluate expressions with
+ * @returns {templateMarkdown: String, footnoteData: Object, newTaskUUIDs: Array[String], diagnostics: Array[Object]} Returns processed template, new task uuids for post-processing and the reasons expressions couldn't be evaluated
  */
-async function processTemplate(app, templateUuid, templateMarkdown) {
+async function processTemplate(app, templateUuid, templateMarkdown, evaluatorOptions = {}) {
   // Initialize footnote counter and storage
   // We use a 8 character prefix from the uuid to distinguish footnotes between nested templates
-  const footnoteData = { prefix: templateUuid.slice(0, 8), counter: 1, content: [] }; // Wrap counter in an object
+  const footnoteData = {
+    prefix: templateUuid.slice(0, 8),
+    counter: 1,
+    content: [],
+    diagnostics: [],
+    markDiagnostics: getUnhandledExpressionsMode(app) === "mark",
+  };
 
   // Step 2: Replace Expressions with Evaluated Results and Footnotes
   const expressionRegex = /\{(?:(start|hide):)?([^}]+)\}/g;
@@ -743,12 +970,24 @@ async function processTemplate(app, templateUuid, templateMarkdown) {
       const insideTask = isInsideTask(offset, string);
       const insideContext = insideLink || insideTask;
 
+      // Dynamic templates ({=Template}) are inserted with the links
+      if (expression.startsWith("=")) return match;
+
       // Handle only non-task and non-link expressions for footnotes
       if (prefix && insideTask) {
-        return match; // Keep as is
+        // Keep as is for processTasks, but note start and hide dates that won't be evaluated
+        const { reason } = evaluateExpression(`{${expression}}`, evaluatorOptions);
+        if (reason) footnoteData.diagnostics.push({ expression: match, reason });
+        return match;
       }
 
-      return evaluateExpressionAndFootnote(match, expression, insideContext, footnoteData);
+      return evaluateExpressionAndFootnote(
+        match,
+        expression,
+        insideContext,
+        footnoteData,
+        evaluatorOptions
+      );
     }
   );
 
@@ -757,7 +996,8 @@ async function processTemplate(app, templateUuid, templateMarkdown) {
     markdown: linksMarkdown,
     linkedTemplateFootnotes,
     linkedTemplateTaskUUIDs,
-  } = await processLinks(app, templateMarkdown);
+    linkedTemplateDiagnostics,
+  } = await processLinks(app, templateMarkdown, evaluatorOptions);
 
   // Step 4: Pre-process Tasks
   // Replace task UUIDs with new ones in the template markdown
@@ -766,13 +1006,14 @@ async function processTemplate(app, templateUuid, templateMarkdown) {
 
   const footnotes = footnoteData.content.concat(linkedTemplateFootnotes);
   const newTaskUUIDs = linkedTemplateTaskUUIDs.concat(newUUIDs);
+  const diagnostics = footnoteData.diagnostics.concat(linkedTemplateDiagnostics);
 
   // Step 5: Append Footnotes
   // if (footnoteData.con tent.length > 0) {
   //   templateMarkdown += "\n\n" + footnoteData.content.join("\n");
   // }
 
-  return { templateMarkdown, footnotes, newTaskUUIDs };
+  return { templateMarkdown, footnotes, newTaskUUIDs, diagnostics };
 }
 
 /**
@@ -791,6 +1032,7 @@ async function processTemplate(app, templateUuid, templateMarkdown) {
  *     - "insert" - At beginning or end of note content. Used for daily jots.
  * - section: Specify a section of the template to use
  * - sectionInner: Whether we just want the inner section content or not
+ * Expressions are evaluated relative to the date encoded in the note name (e.g. a daily jot), if any.
  * @returns {Promise<null>} - Returns null after processing
  */
 export async function processInsertTemplate(
@@ -804,10 +1046,13 @@ export async function processInsertTemplate(
   if (section && section !== "") {
     templateBaseContent = extractSection(templateBaseContent, section, sectionInner);
   }
-  let { templateMarkdown, footnotes, newTaskUUIDs } = await processTemplate(
+  const settingDiagnostics = [];
+  const evaluatorOptions = await buildEvaluatorOptions(app, thisNote, settingDiagnostics);
+  let { templateMarkdown, footnotes, newTaskUUIDs, diagnostics } = await processTemplate(
     app,
     template.uuid,
-    templateBaseContent
+    templateBaseContent,
+    evaluatorOptions
   );
 
   if (footnotes.length > 0) templateMarkdown += "\n\n" + footnotes.join("\n");
@@ -886,18 +1131,56 @@ export async function processInsertTemplate(
   // Step 8: Process new tasks
   // Schedule task processing
   // - Since Amplenote has a delay before tasks are available we have to asynchronously wait for them to be available.
-  processTasks(app, newTaskUUIDs);
+  processTasks(app, newTaskUUIDs, evaluatorOptions);
+
+  // Step 9: Let the user know about expressions that look like typos. Holidays and observances in the
+  // settings can't be marked in the note, so they are listed in the alert unless they are ignored.
+  const mode = getUnhandledExpressionsMode(app);
+  const alertedDiagnostics = [
+    ...(mode === "ignore" ? [] : settingDiagnostics),
+    ...(mode === "alert" ? diagnostics : []),
+  ];
+  if (alertedDiagnostics.length > 0) {
+    await alertDiagnostics(app, alertedDiagnostics);
+  }
 
   // No need to insert text
   return null;
 }
 
+/**
+ * Gets how unhandled expressions that look like mistakes are reported from the settings.
+ * @param {Object} app - The app instance
+ * @returns {string} - 'alert' to list them after inserting, 'mark' to footnote them in the note or 'ignore'
+ */
+function getUnhandledExpressionsMode(app) {
+  const mode = (app.settings[Settings.UNHANDLED_EXPRESSIONS] || "").trim().toLowerCase();
+  return ["mark", "ignore"].includes(mode) ? mode : "alert";
+}
+
+/**
+ * Shows the expressions that couldn't be evaluated and why in a single alert.
+ * @param {Object} app - The app instance
+ * @param {Array<{expression: string, reason: string}>} diagnostics - The unhandled expressions
+ * @returns {Promise<void>}
+ */
+async function alertDiagnostics(app, diagnostics) {
+  const lines = [
+    ...new Set(diagnostics.map(({ expression, reason }) => `${expression}: ${reason}`)),
+  ];
+  await app.alert(
+    `Some expressions couldn't be evaluated and were left as is:\n${lines.join("\n")}`
+  );
+}
+
 // =============================
 // Note Creation
 // =============================
 
 async function createNoteFromLink(app, createNoteParams) {
-  const evaluatedName = createNoteParams.name ? evaluateExpressions(createNoteParams.name) : null;
+  const evaluatedName = createNoteParams.name
+    ? evaluateExpressions(createNoteParams.name, await buildEvaluatorOptions(app))
+    : null;
 
   // Create the note
   const newNote = await app.notes.create(evaluatedName, createNoteParams.tags);
@@ -927,8 +1210,22 @@ const Settings = Object.freeze({
   TEMPLATE_TAG: "Dynamic Template Tag (default: system/template)",
   DEFAULT_TEMPLATE: "Global Default Template",
   TAG_DEFAULTS: "Tag Default Templates",
+  NOTE_DATE_FORMATS: "Note Date Formats (separate multiple with ;)",
+  WEEK_START: "Week Start Day (default: Sunday)",
+  FISCAL_YEAR_START: "Fiscal Year Start Month (default: January)",
+  DATE_ORDER: "Numeric Date Order (MDY or DMY, default: MDY)",
+  YEAR_ROLLOVER: "Year Rollover for dates without a year (None, Upcoming or Recent, default: None)",
+  HOLIDAYS: "Holidays (separate multiple with ;)",
+  HOLIDAYS_NOTE: "Holidays Note (name of a note listing one holiday per line)",
+  HOLIDAY_REGIONS: "Holiday Regions (US, UK or CA, default: US)",
+  CUSTOM_OBSERVANCES: "Custom Observances (Name = date expression, separate multiple with ;)",
+  TIMES_OF_DAY: "Times of Day (Name = time like Morning = 8:00, separate multiple with ;)",
+  BARE_HOURS: "Hours without am/pm (24h or Daytime, default: 24h)",
+  LOCALE: "Language of expressions and dates (English, Spanish or German, default: English)",
+  UNHANDLED_EXPRESSIONS: "Unrecognized expressions (Alert, Mark or Ignore, default: Alert)",
   defaults: {
     TEMPLATE_TAG: "system/template",
+    NOTE_DATE_FORMAT: "MMMM do, yyyy",
   },
 });
 
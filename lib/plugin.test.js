@@ -175,6 +175,452 @@ Hello`);
       expect(newNote.name).toEqual("New Jot");
       expect(newNote.tags).toEqual("daily-jots");
     });
+    test("Should evaluate expressions relative to the jot's date", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const templateNote = mockNote(
+        "{Tomorrow} {Monday of last week} {Today!}",
+        "Template",
+        "template-3"
+      );
+      app._storedNotes.push(templateNote);
+      app.context.url = "https://www.amplenote.com/notes/jots?tag=daily-jots";
+      app.settings["Tag Default Templates"] = '{"daily-jots":"template-3"}';
+
+      await plugin.dailyJotOption["There's a default dynamic template for this tag"].run(app, {
+        uuid: null,
+        name: "October 12th, 2026",
+        tags: "daily-jots",
+      });
+
+      const newNote = app._storedNotes[app._storedNotes.length - 1];
+      expect(newNote.body).toEqual(
+        `[October 13th, 2026][^templater-template-1] [October 5th, 2026][^templater-template-2] [April 27th, 2024][^templater-template-3]
+
+[^templater-template-1]: [October 13th, 2026]()
+Tomorrow
+[^templater-template-2]: [October 5th, 2026]()
+Monday of last week
+[^templater-template-3]: [April 27th, 2024]()
+Today!
+`
+      );
+      MockDate.reset();
+    });
+  });
+
+  describe("Note Date Detection", () => {
+    test("Should anchor expressions to configured note date formats", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "2025-01-31");
+      app.settings["Note Date Formats (separate multiple with ;)"] = "MM/dd/yyyy; yyyy-MM-dd";
+      const templateNote = mockNote("{Next month} at {Now}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`[February 28th, 2025][^templater-template-1] at [10:00][^templater-template-2]
+
+[^templater-template-1]: [February 28th, 2025]()
+Next month
+[^templater-template-2]: [10:00]()
+Now`);
+      MockDate.reset();
+    });
+
+    test("Should anchor expressions to note names in the date format of the language", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "31. Januar 2025");
+      app.settings[
+        "Language of expressions and dates (English, Spanish or German, default: English)"
+      ] = "German";
+      const templateNote = mockNote("{Morgen}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[1. Februar 2025][^templater-template-1]
+
+[^templater-template-1]: [1. Februar 2025]()
+Morgen`);
+      MockDate.reset();
+    });
+
+    test("Should honor the week start setting", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Weekly Review");
+      app.settings["Week Start Day (default: Sunday)"] = "Monday";
+      const templateNote = mockNote("{End of this week}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[April 28th, 2024 at 23:59:59][^templater-template-1]
+
+[^templater-template-1]: [April 28th, 2024 at 23:59:59]()
+End of this week`);
+      MockDate.reset();
+    });
+
+    test("Should use the current date when the note name has no date", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "October 12th is my birthday");
+      const templateNote = mockNote("{Tomorrow}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[April 28th, 2024][^templater-template-1]
+
+[^templater-template-1]: [April 28th, 2024]()
+Tomorrow`);
+      MockDate.reset();
+    });
+
+    test("Should honor the numeric date order setting", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Trip Planning");
+      app.settings["Numeric Date Order (MDY or DMY, default: MDY)"] = "DMY";
+      const templateNote = mockNote("{1 day before 3/5/2027}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[May 2nd, 2027][^templater-template-1]
+
+[^templater-template-1]: [May 2nd, 2027]()
+1 day before 3/5/2027`);
+      MockDate.reset();
+    });
+
+    test("Should honor the year rollover setting", async () => {
+      MockDate.set(new Date(2024, 11, 28, 10, 0, 0, 0)); // Dec 28, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Planning");
+      app.settings[
+        "Year Rollover for dates without a year (None, Upcoming or Recent, default: None)"
+      ] = "Upcoming";
+      const templateNote = mockNote("{Jan 5}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[January 5th, 2025][^templater-template-1]
+
+[^templater-template-1]: [January 5th, 2025]()
+Jan 5`);
+      MockDate.reset();
+    });
+  });
+
+  describe("Week Numbers", () => {
+    test("Should evaluate week numbers in links and footnotes", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        `Week {week number}: \\[\\[weekly/Week {week number of next week}\\]\\] \\[\\[weekly/{"RRRR-'W'II":today}\\]\\]`,
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`Week [17][^templater-template-1]: [Week 18](https://www.amplenote.com/notes/uuid-3) [2024-W17](https://www.amplenote.com/notes/uuid-4)
+
+[^templater-template-1]: [17]()
+week number`);
+      expect(app.notes.create).toHaveBeenCalledWith("Week 18", ["weekly"]);
+      expect(app.notes.create).toHaveBeenCalledWith("2024-W17", ["weekly"]);
+      MockDate.reset();
+    });
+  });
+
+  describe("Number Formats", () => {
+    test("Should evaluate formatted numbers in links and footnotes", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        `Budget {"$#,##0.00":1234.5}: \\[\\[reviews/{"ordinal":week number} Week\\]\\]`,
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`Budget [$1,234.50][^templater-template-1]: [17th Week](https://www.amplenote.com/notes/uuid-3)
+
+[^templater-template-1]: [$1,234.50]()
+"$#,##0.00":1234.5`);
+      expect(app.notes.create).toHaveBeenCalledWith("17th Week", ["reviews"]);
+      MockDate.reset();
+    });
+
+    test("Should evaluate relative date formats in links and footnotes", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        `Due {"relative":next friday}: \\[\\[logs/{"iso":tomorrow}\\]\\]`,
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`Due [in 6 days][^templater-template-1]: [2024-04-28](https://www.amplenote.com/notes/uuid-3)
+
+[^templater-template-1]: [in 6 days]()
+"relative":next friday`);
+      expect(app.notes.create).toHaveBeenCalledWith("2024-04-28", ["logs"]);
+      MockDate.reset();
+    });
+
+    test("Should evaluate quantities with units", async () => {
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        "Estimate: {2h 30m + 45m}, budget: {$12.50 * 3}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`Estimate: [3h 15m][^templater-template-1], budget: [$37.50][^templater-template-2]
+
+[^templater-template-1]: [3h 15m]()
+2h 30m + 45m
+[^templater-template-2]: [$37.50]()
+$12.50 * 3`);
+    });
+  });
+
+  describe("Holidays", () => {
+    test("Should skip holidays from the setting and holidays note in business day expressions", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Holidays (separate multiple with ;)"] = "2024-04-29";
+      app.settings["Holidays Note (name of a note listing one holiday per line)"] = "Holidays";
+      app._storedNotes.push(
+        mockNote("# Company Holidays\n- May 1\n- Last Monday of May", "Holidays", "holidays-1")
+      );
+      const templateNote = mockNote(
+        "{Next business day} {In 2 business days}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`[April 30th, 2024][^templater-template-1] [May 2nd, 2024][^templater-template-2]
+
+[^templater-template-1]: [April 30th, 2024]()
+Next business day
+[^templater-template-2]: [May 2nd, 2024]()
+In 2 business days`);
+      MockDate.reset();
+    });
+
+    test("Should skip holidays of next year in business day expressions", async () => {
+      MockDate.set(new Date(2024, 11, 20, 10, 0, 0, 0)); // Dec 20, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Holidays (separate multiple with ;)"] = "January 1";
+      const templateNote = mockNote(
+        "{3 business days after December 30}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[January 3rd, 2025][^templater-template-1]
+
+[^templater-template-1]: [January 3rd, 2025]()
+3 business days after December 30`);
+      MockDate.reset();
+    });
+
+    test("Should use holiday regions and custom observances from the settings", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Holiday Regions (US, UK or CA, default: US)"] = "UK";
+      app.settings["Custom Observances (Name = date expression, separate multiple with ;)"] =
+        "Founders Day = May 2; Review Day = Last Friday of June";
+      app.settings["Holidays (separate multiple with ;)"] = "Founders Day; Early May Bank Holiday";
+      const templateNote = mockNote(
+        "{Review Day} {2 business days after April 30}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body)
+        .toEqual(`[June 28th, 2024][^templater-template-1] [May 3rd, 2024][^templater-template-2]
+
+[^templater-template-1]: [June 28th, 2024]()
+Review Day
+[^templater-template-2]: [May 3rd, 2024]()
+2 business days after April 30`);
+      MockDate.reset();
+    });
+
+    test("Should alert holidays and custom observances that aren't dates", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Custom Observances (Name = date expression, separate multiple with ;)"] =
+        "Founders Day = May 2; Review Day = Last Fryday of June";
+      app.settings["Holidays (separate multiple with ;)"] = "Founders Day; Febuary 3; Blursday";
+      const templateNote = mockNote("{Tomorrow}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(`[April 28th, 2024][^templater-template-1]
+
+[^templater-template-1]: [April 28th, 2024]()
+Tomorrow`);
+      expect(app.alert).toHaveBeenCalledWith(
+        "Some expressions couldn't be evaluated and were left as is:\n" +
+          'Holiday "Febuary 3": Unknown month "Febuary", did you mean February?\n' +
+          'Holiday "Blursday": Not a date\n' +
+          'Custom observance "Review Day = Last Fryday of June": Unknown weekday "Fryday", did you mean Friday?'
+      );
+      MockDate.reset();
+    });
+  });
+
+  describe("Times of Day", () => {
+    test("Should use times of day and bare hours from the settings", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Times of Day (Name = time like Morning = 8:00, separate multiple with ;)"] =
+        "Morning = 8:00; Standup = 9:15am";
+      app.settings["Hours without am/pm (24h or Daytime, default: 24h)"] = "Daytime";
+      const templateNote = mockNote(
+        "{Tomorrow morning} {Monday standup} {Tomorrow at 3}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(
+        "[April 28th, 2024 at 08:00][^templater-template-1] [April 22nd, 2024 at 09:15][^templater-template-2] [April 28th, 2024 at 15:00][^templater-template-3]\n\n" +
+          "[^templater-template-1]: [April 28th, 2024 at 08:00]()\nTomorrow morning\n" +
+          "[^templater-template-2]: [April 22nd, 2024 at 09:15]()\nMonday standup\n" +
+          "[^templater-template-3]: [April 28th, 2024 at 15:00]()\nTomorrow at 3"
+      );
+      MockDate.reset();
+    });
+  });
+
+  describe("Locales", () => {
+    test("Should evaluate and format expressions in the language from the settings", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings[
+        "Language of expressions and dates (English, Spanish or German, default: English)"
+      ] = "Spanish";
+      const templateNote = mockNote(
+        "{Próximo lunes} {mañana a las 9} \\[\\[diario/{hace 2 días}\\]\\]",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(
+        "[29 de abril de 2024][^templater-template-1] [28 de abril de 2024 a las 09:00][^templater-template-2] [25 de abril de 2024](https://www.amplenote.com/notes/uuid-3)\n\n" +
+          "[^templater-template-1]: [29 de abril de 2024]()\nPróximo lunes\n" +
+          "[^templater-template-2]: [28 de abril de 2024 a las 09:00]()\nmañana a las 9"
+      );
+      expect(app.notes.create).toHaveBeenCalledWith("25 de abril de 2024", ["diario"]);
+      MockDate.reset();
+    });
+  });
+
+  describe("Unrecognized Expressions", () => {
+    test("Should alert expressions that look like mistakes after inserting", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Sat Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        "Due {Febuary 3}, review {fifth Wednesday of April} {toc}\n{=Missing Template}",
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(
+        "Due {Febuary 3}, review {fifth Wednesday of April} {toc}\n{=Missing Template}"
+      );
+      expect(app.alert).toHaveBeenCalledTimes(1);
+      expect(app.alert).toHaveBeenCalledWith(
+        "Some expressions couldn't be evaluated and were left as is:\n" +
+          '{Febuary 3}: Unknown month "Febuary", did you mean February?\n' +
+          "{fifth Wednesday of April}: There are only 4 Wednesdays in April 2024"
+      );
+      MockDate.reset();
+    });
+
+    test("Should mark expressions that look like mistakes with a footnote", async () => {
+      const { app, note } = mockAppWithContent("", "Host Note");
+      app.settings["Unrecognized expressions (Alert, Mark or Ignore, default: Alert)"] = "Mark";
+      const templateNote = mockNote("Due {Febuary 3}", "Template", "template-1");
+      app._storedNotes.push(templateNote);
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      expect(note.body).toEqual(
+        "Due {Febuary 3}[^templater-template-1]\n\n" +
+          '[^templater-template-1]: ⚠️ Unknown month "Febuary", did you mean February?'
+      );
+      expect(app.alert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Recurrences", () => {
+    test("Should start tasks on the next occurrence of a recurrence", async () => {
+      MockDate.set(new Date(2024, 3, 27, 10, 0, 0, 0)); // Sat Apr 27, 2024 10:00am
+      const { app, note } = mockAppWithContent("", "Host Note");
+      const templateNote = mockNote(
+        '- [ ] Weekly review {start:every Monday at 9am}<!-- {"uuid":"task-1"} -->',
+        "Template",
+        "template-1"
+      );
+      app._storedNotes.push(templateNote);
+      Object.assign(app, {
+        getTask: jest.fn().mockImplementation(async (uuid) => ({
+          uuid,
+          content: "Weekly review {start:every Monday at 9am}",
+        })),
+        updateTask: jest.fn().mockResolvedValue(true),
+      });
+
+      await processInsertTemplate(app, note, templateNote, { insertMode: "replace" });
+
+      await waitForExpect(() => {
+        expect(app.updateTask).toHaveBeenCalledTimes(1);
+      });
+      expect(app.updateTask).toHaveBeenCalledWith(expect.any(String), {
+        content: "Weekly review every Monday at 9am",
+        startAt: new Date(2024, 3, 29, 9, 0, 0, 0).getTime() / 1000,
+      });
+      MockDate.reset();
+    });
   });
 
   describe("Process Insert Template", () => {
@@ -0,0 +1,373 @@
+// quantities.js
+
+/**
+ * A number with a unit, like 5 km, 2.5 hours, 10% or $12.
+ * @typedef {Object} Quantity
+ * @property {number} value - The number, in the given unit.
+ * @property {string} unit - The unit symbol, a key of UNITS.
+ * @property {boolean} [converted] - If the quantity was converted with "in", so durations are
+ *   shown in that unit rather than split into days, hours, minutes and seconds.
+ */
+
+/**
+ * An error combining or converting quantities, like adding km to hours.
+ * Its message is shown to the user as the reason the expression is unhandled.
+ */
+export class QuantityError extends Error {}
+
+/**
+ * The supported units by symbol, with their dimension, their size in the dimension's base unit and
+ * the names they can be written as. Units can only be converted within the same dimension, so
+ * every currency is its own dimension.
+ */
+const UNITS = Object.freeze({
+  s: { dimension: "time", factor: 1, names: ["s", "sec", "secs", "second", "seconds"] },
+  min: { dimension: "time", factor: 60, names: ["min", "mins", "minute", "minutes"] },
+  h: { dimension: "time", factor: 3600, names: ["h", "hr", "hrs", "hour", "hours"] },
+  d: { dimension: "time", factor: 86400, names: ["d", "day", "days"] },
+  wk: { dimension: "time", factor: 604800, names: ["w", "wk", "wks", "week", "weeks"] },
+  mm: { dimension: "length", factor: 0.001, names: ["mm", "millimeter", "millimeters"] },
+  cm: { dimension: "length", factor: 0.01, names: ["cm", "centimeter", "centimeters"] },
+  m: { dimension: "length", factor: 1, names: ["m", "meter", "meters", "metre", "metres"] },
+  km: { dimension: "length", factor: 1000, names: ["km", "kilometer", "kilometers"] },
+  in: { dimension: "length", factor: 0.0254, names: ["inch", "inches"] },
+  ft: { dimension: "length", factor: 0.3048, names: ["ft", "foot", "feet"] },
+  yd: { dimension: "length", factor: 0.9144, names: ["yd", "yard", "yards"] },
+  mi: { dimension: "length", factor: 1609.344, names: ["mi", "mile", "miles"] },
+  g: { dimension: "mass", factor: 0.001, names: ["g", "gram", "grams"] },
+  kg: { dimension: "mass", factor: 1, names: ["kg", "kilogram", "kilograms"] },
+  oz: { dimension: "mass", factor: 0.028349523125, names: ["oz", "ounce", "ounces"] },
+  lb: { dimension: "mass", factor: 0.45359237, names: ["lb", "lbs", "pound", "pounds"] },
+  ml: { dimension: "volume", factor: 0.001, names: ["ml", "milliliter", "milliliters"] },
+  l: { dimension: "volume", factor: 1, names: ["l", "liter", "liters", "litre", "litres"] },
+  gal: { dimension: "volume", factor: 3.785411784, names: ["gal", "gallon", "gallons"] },
+  "%": { dimension: "percent", factor: 0.01, names: ["%", "percent"] },
+  USD: { dimension: "USD", factor: 1, names: ["$", "usd", "dollar", "dollars"] },
+  EUR: { dimension: "EUR", factor: 1, names: ["€", "eur", "euro", "euros"] },
+  GBP: { dimension: "GBP", factor: 1, names: ["£", "gbp"] },
+});
+
+/** The singular and plural words units are spelled out as, e.g. "three hours" */
+const UNIT_WORDS = Object.freeze({
+  s: ["second", "seconds"],
+  min: ["minute", "minutes"],
+  h: ["hour", "hours"],
+  d: ["day", "days"],
+  wk: ["week", "weeks"],
+  mm: ["millimeter", "millimeters"],
+  cm: ["centimeter", "centimeters"],
+  m: ["meter", "meters"],
+  km: ["kilometer", "kilometers"],
+  in: ["inch", "inches"],
+  ft: ["foot", "feet"],
+  yd: ["yard", "yards"],
+  mi: ["mile", "miles"],
+  g: ["gram", "grams"],
+  kg: ["kilogram", "kilograms"],
+  oz: ["ounce", "ounces"],
+  lb: ["pound", "pounds"],
+  ml: ["milliliter", "milliliters"],
+  l: ["liter", "liters"],
+  gal: ["gallon", "gallons"],
+  "%": ["percent", "percent"],
+  USD: ["dollar", "dollars"],
+  EUR: ["euro", "euros"],
+  GBP: ["pound sterling", "pounds sterling"],
+});
+
+/** Unit symbols by lowercase name, e.g. "hours" is "h" */
+const UNIT_NAMES = Object.freeze(
+  Object.fromEntries(
+    Object.entries(UNITS).flatMap(([symbol, unit]) => unit.names.map((name) => [name, symbol]))
+  )
+);
+
+// Word unit names, longest first so "mins" isn't read as "m" followed by "ins"
+const UNIT_NAME_PATTERN = Object.keys(UNIT_NAMES)
+  .filter((name) => /^\w+$/.test(name))
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+// A number with a currency symbol before it, a percent sign after it or a unit name after it.
+// A "%" is only a percentage at the end of an operand, so "13 % 5" is still a remainder.
+const QUANTITY_PATTERN = new RegExp(
+  `(?<![\\w.])(?:([$€£])\\s?)?(\\d+(?:\\.\\d+)?|\\.\\d+)` +
+    `(?:\\s*(%)(?=\\s*(?:$|[-+*/,)]))|\\s*(${UNIT_NAME_PATTERN})(?![\\w(]))?`,
+  "gi"
+);
+
+const PLACEHOLDER_PREFIX = "__quantity";
+
+// The units durations are split into when they are shown, e.g. "3h 15m"
+const DURATION_PARTS = [
+  ["d", 86400],
+  ["h", 3600],
+  ["m", 60],
+];
+
+/**
+ * Checks if a value is a quantity rather than a plain number.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+export function isQuantity(value) {
+  return typeof value === "object" && value !== null && value.unit in UNITS;
+}
+
+/**
+ * Looks up the symbol of a unit name.
+ * @param {string} name - The unit name, e.g. "miles", "h" or "%".
+ * @returns {string|null} - The unit symbol, e.g. "mi", or null if it isn't a unit.
+ */
+export function findUnit(name) {
+  const lowerName = name.toLowerCase();
+  return Object.hasOwn(UNIT_NAMES, lowerName) ? UNIT_NAMES[lowerName] : null;
+}
+
+/**
+ * Rewrites an expression with quantities into one the math parser can parse. Each quantity is replaced by
+ * a placeholder identifier, so "2h 30m + 45m in hours" becomes "__quantity0 + __quantity1" with a
+ * target unit of hours. Durations written as several quantities in a row, like "2h 30m", are
+ * added together, and "15% of 80" becomes "(15 / 100) * 80". An "m" is meters, unless the
+ * expression is about durations and not lengths, like the minutes of "2h 30m + 45m".
+ * @param {string} expr - The math expression.
+ * @returns {{expression: string, quantities: Object<string, Quantity>, targetUnit: string|null}}
+ */
+export function preparseQuantities(expr) {
+  let expression = expr;
+  let targetUnit = null;
+  const conversionMatch = expression.match(/^(.+?)\s+(?:in|to|as)\s+(%|[a-z]+)$/i);
+  if (conversionMatch && findUnit(conversionMatch[2])) {
+    expression = conversionMatch[1];
+    targetUnit = findUnit(conversionMatch[2]);
+  }
+
+  expression = expression.replace(/(\d+(?:\.\d+)?|\.\d+)\s*%\s+of\b/gi, "($1 / 100) *");
+
+  const quantities = {};
+  let previous = null;
+  let previousEnd = -1;
+  expression = expression.replace(
+    QUANTITY_PATTERN,
+    (match, currency, number, percent, unitName, offset) => {
+      const unitSymbol = currency || percent || unitName;
+      const gap = expression.slice(previousEnd, offset);
+      previousEnd = offset + match.length;
+      if (!unitSymbol) {
+        previous = null;
+        return match;
+      }
+      const quantity = { value: parseFloat(number), unit: findUnit(unitSymbol) };
+      // Quantities only separated by spaces, like "2h 30m" or "5 ft 3 inches", are one quantity
+      const isInRow = Boolean(unitName && !currency && previous && /^\s*$/.test(gap));
+      if (isInRow && quantity.unit === "m" && UNITS[previous.unit].dimension === "time") {
+        quantity.unit = "min";
+      }
+      if (isInRow && sameDimension(previous, quantity)) {
+        previous.value += convert(quantity, previous.unit).value;
+        return "";
+      }
+      const name = `${PLACEHOLDER_PREFIX}${Object.keys(quantities).length}`;
+      quantities[name] = quantity;
+      previous = unitName && !currency ? quantity : null;
+      return name;
+    }
+  );
+
+  const units = [...Object.values(quantities).map(({ unit }) => unit), targetUnit].filter(Boolean);
+  const hasDimension = (dimension) =>
+    units.some((unit) => unit !== "m" && UNITS[unit].dimension === dimension);
+  if (hasDimension("time") && !hasDimension("length")) {
+    for (const quantity of Object.values(quantities)) {
+      if (quantity.unit === "m") quantity.unit = "min";
+    }
+    if (targetUnit === "m") targetUnit = "min";
+  }
+
+  return { expression: expression.replace(/\s+$/, ""), quantities, targetUnit };
+}
+
+/**
+ * Converts a quantity to another unit of the same dimension.
+ * @param {Quantity|number} quantity - The quantity. Plain numbers can only be converted to percent.
+ * @param {string} unit - The unit symbol to convert to.
+ * @returns {Quantity}
+ * @throws {QuantityError} If the units have different dimensions.
+ */
+export function convert(quantity, unit) {
+  if (!isQuantity(quantity)) {
+    if (unit !== "%") throw new QuantityError(`Can't convert a number to ${unit}`);
+    return { value: quantity * 100, unit };
+  }
+  if (!sameDimension(quantity, { unit })) {
+    throw new QuantityError(`Can't convert ${quantity.unit} to ${unit}`);
+  }
+  return { value: (quantity.value * UNITS[quantity.unit].factor) / UNITS[unit].factor, unit };
+}
+
+/**
+ * Applies an arithmetic operator to quantities and numbers:
+ * - Adding or subtracting converts the right side to the left side's unit. A plain number takes
+ *   the other side's unit, so $5 + 2 is $7.
+ * - Adding or subtracting a percentage changes a value by that percentage, so 200 + 10% is 220.
+ * - Multiplying or dividing by a number scales a quantity, and dividing two quantities of the same
+ *   dimension gives their ratio. A percentage is its fraction here, so 80 * 10% is 8.
+ * @param {string} operator - The operator (e.g., +, -, *, /).
+ * @param {Quantity|number} left - The left operand.
+ * @param {Quantity|number} right - The right operand.
+ * @returns {Quantity|number}
+ * @throws {QuantityError} If the operator can't be applied to these quantities.
+ */
+export function applyQuantityOperator(operator, left, right) {
+  if ((operator === "+" || operator === "-") && isPercent(right) && !isPercent(left)) {
+    const change = scale(left, toNumber(right));
+    if (!isQuantity(left)) return operator === "+" ? left + change : left - change;
+    const value = operator === "+" ? left.value + change.value : left.value - change.value;
+    return { ...left, value };
+  }
+
+  const leftValue = isPercent(left) && operator !== "+" && operator !== "-" ? toNumber(left) : left;
+  const rightValue =
+    isPercent(right) && operator !== "+" && operator !== "-" ? toNumber(right) : right;
+  const leftIsQuantity = isQuantity(leftValue);
+  const rightIsQuantity = isQuantity(rightValue);
+
+  switch (operator) {
+    case "+":
+    case "-": {
+      const base = leftIsQuantity ? leftValue : { ...rightValue, value: leftValue };
+      const other = rightIsQuantity ? convert(rightValue, base.unit).value : rightValue;
+      return { value: operator === "+" ? base.value + other : base.value - other, unit: base.unit };
+    }
+    case "*":
+      if (leftIsQuantity && rightIsQuantity) {
+        throw new QuantityError(`Can't multiply ${leftValue.unit} by ${rightValue.unit}`);
+      }
+      return leftIsQuantity ? scale(leftValue, rightValue) : scale(rightValue, leftValue);
+    case "/":
+      if (leftIsQuantity && rightIsQuantity) {
+        return leftValue.value / convert(rightValue, leftValue.unit).value;
+      }
+      if (rightIsQuantity) {
+        throw new QuantityError(`Can't divide a number by ${rightValue.unit}`);
+      }
+      return scale(leftValue, 1 / rightValue);
+    default:
+      throw new QuantityError(`Can't use ${operator} with units`);
+  }
+}
+
+/**
+ * Negates a quantity.
+ * @param {Quantity} quantity - The quantity.
+ * @returns {Quantity}
+ */
+export function negate(quantity) {
+  return scale(quantity, -1);
+}
+
+/**
+ * Formats a quantity for display, e.g. "3.1 mi", "$1,234.50", "25%" or "3h 15m" for durations.
+ * @param {Quantity} quantity - The quantity.
+ * @param {function(number): (string|null)} [formatValue] - Formats the number, e.g. with a number
+ *   format specifier. Durations are then shown in their unit rather than split into parts.
+ * @param {{prefix: boolean, percent: boolean, words: boolean}} [numberFormat] - What formatValue shows
+ *   besides the digits, like describeNumberFormat. A prefix like the "$" of "$#,##0.00" replaces the
+ *   currency symbol, percent formats get the fraction of percentages and numbers in words get the
+ *   unit in words.
+ * @returns {string|null} - The formatted quantity or null if the number couldn't be formatted.
+ */
+export function formatQuantity(quantity, formatValue, numberFormat = {}) {
+  const { value, unit } = quantity;
+  const dimension = UNITS[unit].dimension;
+  if (!formatValue && dimension === "time" && !quantity.converted) {
+    return formatDuration(value * UNITS[unit].factor);
+  }
+  if (formatValue && unit === "%" && numberFormat.percent) {
+    return formatValue(value * UNITS[unit].factor);
+  }
+
+  const formatted = formatValue ? formatValue(value) : null;
+  if (formatValue && formatted === null) return null;
+  if (numberFormat.words) {
+    const [singular, plural] = UNIT_WORDS[unit];
+    return `${formatted} ${Math.abs(value) === 1 ? singular : plural}`;
+  }
+  if (dimension === unit) {
+    // Currencies are shown with their symbol in front, e.g. "$12.50"
+    if (formatted === null) {
+      return new Intl.NumberFormat("en-US", { style: "currency", currency: unit }).format(value);
+    }
+    if (numberFormat.prefix) return formatted;
+    const symbol = UNITS[unit].names[0];
+    return formatted.startsWith("-") ? `-${symbol}${formatted.slice(1)}` : `${symbol}${formatted}`;
+  }
+  const number = formatted === null ? `${cleanNumber(value)}` : formatted;
+  return unit === "%" ? `${number}%` : `${number} ${unit}`;
+}
+
+/**
+ * Splits a duration into days, hours, minutes and seconds, e.g. 11700 seconds is "3h 15m".
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  let remaining = cleanNumber(Math.abs(seconds));
+  const parts = [];
+  for (const [symbol, size] of DURATION_PARTS) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count}${symbol}`);
+      remaining = cleanNumber(remaining - count * size);
+    }
+  }
+  if (remaining > 0 || parts.length === 0) parts.push(`${remaining}s`);
+  return (seconds < 0 ? "-" : "") + parts.join(" ");
+}
+
+/**
+ * Rounds away floating point noise, so 5 km in miles is 3.10685596119 rather than 3.1068559611866697.
+ * @param {number} value - The number.
+ * @returns {number}
+ */
+function cleanNumber(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Multiplies a quantity by a number.
+ * @param {Quantity} quantity - The quantity.
+ * @param {number} factor - The number to multiply by.
+ * @returns {Quantity}
+ */
+function scale(quantity, factor) {
+  return isQuantity(quantity) ? { ...quantity, value: quantity.value * factor } : quantity * factor;
+}
+
+/**
+ * Checks if two quantities can be converted into each other.
+ * @param {Quantity} a - The first quantity.
+ * @param {Quantity} b - The second quantity.
+ * @returns {boolean}
+ */
+function sameDimension(a, b) {
+  return UNITS[a.unit].dimension === UNITS[b.unit].dimension;
+}
+
+/**
+ * Checks if a value is a percentage.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPercent(value) {
+  return isQuantity(value) && value.unit === "%";
+}
+
+/**
+ * Turns a percentage into its fraction, e.g. 10% is 0.1.
+ * @param {Quantity} percent - The percentage.
+ * @returns {number}
+ */
+function toNumber(percent) {
+  return percent.value * UNITS["%"].factor;
+}
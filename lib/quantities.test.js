@@ -0,0 +1,153 @@
+// quantities.test.js
+import {
+  applyQuantityOperator,
+  convert,
+  findUnit,
+  formatQuantity,
+  preparseQuantities,
+  QuantityError,
+} from "./quantities.js";
+
+describe("Quantities", () => {
+  describe("preparseQuantities", () => {
+    test("should replace quantities with placeholders", () => {
+      expect(preparseQuantities("5 km + 300m")).toEqual({
+        expression: "__quantity0 + __quantity1",
+        quantities: {
+          __quantity0: { value: 5, unit: "km" },
+          __quantity1: { value: 300, unit: "m" },
+        },
+        targetUnit: null,
+      });
+    });
+
+    test("should add up quantities written in a row", () => {
+      expect(preparseQuantities("2h 30m + 45m").quantities).toEqual({
+        __quantity0: { value: 2.5, unit: "h" },
+        __quantity1: { value: 45, unit: "min" },
+      });
+    });
+
+    test("should read m as meters unless the expression is about durations", () => {
+      expect(preparseQuantities("5 m").quantities.__quantity0.unit).toBe("m");
+      expect(preparseQuantities("5 m in ft").targetUnit).toBe("ft");
+      expect(preparseQuantities("90 m in hours").quantities.__quantity0.unit).toBe("min");
+      expect(preparseQuantities("(2h 30m) / 30m").quantities.__quantity1.unit).toBe("min");
+      expect(preparseQuantities("2 km + 30m").quantities.__quantity1.unit).toBe("m");
+    });
+
+    test("should read currencies and percentages", () => {
+      expect(preparseQuantities("$12.50 * 3 + 10%")).toEqual({
+        expression: "__quantity0 * 3 + __quantity1",
+        quantities: {
+          __quantity0: { value: 12.5, unit: "USD" },
+          __quantity1: { value: 10, unit: "%" },
+        },
+        targetUnit: null,
+      });
+    });
+
+    test("should keep remainders and plain numbers", () => {
+      expect(preparseQuantities("13 % 5").expression).toBe("13 % 5");
+      expect(preparseQuantities("log(100) * 2").expression).toBe("log(100) * 2");
+    });
+
+    test("should rewrite percentages of a value", () => {
+      expect(preparseQuantities("15% of 80").expression).toBe("(15 / 100) * 80");
+    });
+
+    test("should extract the target unit of a conversion", () => {
+      expect(preparseQuantities("5 km in miles")).toMatchObject({
+        expression: "__quantity0",
+        targetUnit: "mi",
+      });
+      expect(preparseQuantities("5 km in lightyears").targetUnit).toBeNull();
+    });
+  });
+
+  test("findUnit should find units by any of their names", () => {
+    expect(findUnit("Hours")).toBe("h");
+    expect(findUnit("m")).toBe("m");
+    expect(findUnit("min")).toBe("min");
+    expect(findUnit("metres")).toBe("m");
+    expect(findUnit("€")).toBe("EUR");
+    expect(findUnit("parsecs")).toBeNull();
+    expect(findUnit("constructor")).toBeNull();
+  });
+
+  describe("convert", () => {
+    test("should convert within a dimension", () => {
+      expect(convert({ value: 90, unit: "min" }, "h")).toEqual({ value: 1.5, unit: "h" });
+      expect(convert({ value: 1, unit: "mi" }, "km").value).toBeCloseTo(1.609344);
+      expect(convert(0.25, "%")).toEqual({ value: 25, unit: "%" });
+    });
+
+    test("should refuse to convert between dimensions", () => {
+      expect(() => convert({ value: 5, unit: "km" }, "h")).toThrow(
+        new QuantityError("Can't convert km to h")
+      );
+      expect(() => convert({ value: 5, unit: "USD" }, "EUR")).toThrow(QuantityError);
+      expect(() => convert(5, "km")).toThrow(QuantityError);
+    });
+  });
+
+  describe("applyQuantityOperator", () => {
+    test.each([
+      ["+", { value: 2, unit: "h" }, { value: 30, unit: "min" }, { value: 2.5, unit: "h" }],
+      ["-", { value: 1, unit: "km" }, { value: 200, unit: "m" }, { value: 0.8, unit: "km" }],
+      ["+", { value: 5, unit: "USD" }, 2, { value: 7, unit: "USD" }],
+      ["+", 200, { value: 10, unit: "%" }, 220],
+      ["-", { value: 50, unit: "USD" }, { value: 10, unit: "%" }, { value: 45, unit: "USD" }],
+      ["+", { value: 10, unit: "%" }, { value: 5, unit: "%" }, { value: 15, unit: "%" }],
+      ["*", { value: 3, unit: "h" }, 4, { value: 12, unit: "h" }],
+      ["*", 80, { value: 10, unit: "%" }, 8],
+      ["/", { value: 10, unit: "km" }, 4, { value: 2.5, unit: "km" }],
+      ["/", { value: 1, unit: "h" }, { value: 15, unit: "min" }, 4],
+    ])("should apply %s", (operator, left, right, expected) => {
+      expect(applyQuantityOperator(operator, left, right)).toEqual(expected);
+    });
+
+    test("should refuse operations that don't make sense for units", () => {
+      const km = { value: 5, unit: "km" };
+      expect(() => applyQuantityOperator("*", km, km)).toThrow("Can't multiply km by km");
+      expect(() => applyQuantityOperator("/", 5, km)).toThrow("Can't divide a number by km");
+      expect(() => applyQuantityOperator("**", km, 2)).toThrow("Can't use ** with units");
+      expect(() => applyQuantityOperator("+", km, { value: 1, unit: "h" })).toThrow(QuantityError);
+    });
+  });
+
+  describe("formatQuantity", () => {
+    test.each([
+      [{ value: 3.25, unit: "h" }, "3h 15m"],
+      [{ value: 90, unit: "min" }, "1h 30m"],
+      [{ value: 1.5, unit: "d" }, "1d 12h"],
+      [{ value: 90, unit: "s" }, "1m 30s"],
+      [{ value: 0, unit: "h" }, "0s"],
+      [{ value: -0.5, unit: "h" }, "-30m"],
+      [{ value: 2.5, unit: "h", converted: true }, "2.5 h"],
+      [{ value: 5 / 1.609344, unit: "mi" }, "3.10685596119 mi"],
+      [{ value: 1234.5, unit: "USD" }, "$1,234.50"],
+      [{ value: -5, unit: "GBP" }, "-£5.00"],
+      [{ value: 25, unit: "%" }, "25%"],
+    ])("should format %j as %s", (quantity, expected) => {
+      expect(formatQuantity(quantity)).toBe(expected);
+    });
+
+    test("should format the number with the given function", () => {
+      const twoDecimals = (value) => value.toFixed(2);
+      expect(formatQuantity({ value: 2.5, unit: "h" }, twoDecimals)).toBe("2.50 h");
+      expect(formatQuantity({ value: -3, unit: "EUR" }, twoDecimals)).toBe("-€3.00");
+      expect(formatQuantity({ value: 1, unit: "km" }, () => null)).toBeNull();
+    });
+
+    test("should not repeat the unit the number format shows", () => {
+      const format = (value) => String(value);
+      expect(
+        formatQuantity({ value: 5, unit: "USD" }, (value) => `$${value}`, { prefix: true })
+      ).toBe("$5");
+      expect(formatQuantity({ value: 50, unit: "%" }, format, { percent: true })).toBe("0.5");
+      expect(formatQuantity({ value: 3, unit: "h" }, format, { words: true })).toBe("3 hours");
+      expect(formatQuantity({ value: 1, unit: "ft" }, format, { words: true })).toBe("1 foot");
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// timezones.js
+
+/**
+ * A time zone, either an IANA time zone that follows daylight saving time or a fixed UTC offset.
+ * @typedef {Object} TimeZone
+ * @property {string} [timeZone] - The IANA time zone, e.g. "Europe/Berlin".
+ * @property {number} [offset] - The fixed offset from UTC in minutes, e.g. -480 for PST.
+ */
+
+/**
+ * Time zone abbreviations. Standard and daylight abbreviations like PST and PDT are fixed offsets,
+ * while generic ones like PT follow daylight saving time.
+ * @type {Object<string, TimeZone>}
+ */
+const TIME_ZONE_ABBREVIATIONS = Object.freeze({
+  utc: { offset: 0 },
+  gmt: { offset: 0 },
+  z: { offset: 0 },
+  pst: { offset: -480 },
+  pdt: { offset: -420 },
+  pt: { timeZone: "America/Los_Angeles" },
+  mst: { offset: -420 },
+  mdt: { offset: -360 },
+  mt: { timeZone: "America/Denver" },
+  cst: { offset: -360 },
+  cdt: { offset: -300 },
+  ct: { timeZone: "America/Chicago" },
+  est: { offset: -300 },
+  edt: { offset: -240 },
+  et: { timeZone: "America/New_York" },
+  bst: { offset: 60 },
+  cet: { offset: 60 },
+  cest: { offset: 120 },
+  ist: { offset: 330 },
+  jst: { offset: 540 },
+  aest: { offset: 600 },
+  aedt: { offset: 660 },
+});
+
+// Offsets like "UTC+2", "GMT-05:00" or "+05:30"
+const OFFSET_PATTERN = /^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+// IANA time zones by lowercase city, e.g. "new york" is "America/New_York", built on first use
+let timeZonesByCity = null;
+
+const wallClockFormatters = new Map();
+
+/**
+ * Finds a time zone by IANA name ("Europe/Berlin"), city ("Tokyo", "New York"),
+ * abbreviation ("PST", "ET") or UTC offset ("UTC+2").
+ * @param {string} name - The time zone name.
+ * @returns {TimeZone|null} - The time zone or null if there is no time zone with that name.
+ */
+export function resolveTimeZone(name) {
+  const trimmed = name.trim();
+  const lowerName = trimmed.toLowerCase().replace(/\s+/g, " ");
+  if (Object.hasOwn(TIME_ZONE_ABBREVIATIONS, lowerName)) return TIME_ZONE_ABBREVIATIONS[lowerName];
+
+  const offsetMatch = lowerName.match(OFFSET_PATTERN);
+  if (offsetMatch) {
+    const [, sign, hours, minutes = "0"] = offsetMatch;
+    const offset = parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+    return offset <= 14 * 60 ? { offset: sign === "-" ? -offset : offset } : null;
+  }
+
+  if (trimmed.includes("/")) {
+    return isValidTimeZone(trimmed) ? { timeZone: trimmed } : null;
+  }
+  const timeZone = getTimeZonesByCity().get(lowerName);
+  return timeZone ? { timeZone } : null;
+}
+
+/**
+ * Gets the offset of a time zone from UTC at an instant, which changes with daylight saving time.
+ * @param {TimeZone} zone - The time zone.
+ * @param {number} instant - The instant in milliseconds since the epoch.
+ * @returns {number} - The offset in minutes, e.g. 120 for Berlin in summer.
+ */
+export function getTimeZoneOffset(zone, instant) {
+  if (zone.offset !== undefined) return zone.offset;
+  const wholeSeconds = Math.floor(instant / 1000) * 1000;
+  const parts = Object.fromEntries(
+    getWallClockFormatter(zone.timeZone)
+      .formatToParts(new Date(wholeSeconds))
+      .map(({ type, value }) => [type, parseInt(value, 10)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((wallClock - wholeSeconds) / 60000);
+}
+
+/**
+ * Reads a wall clock time in a time zone, e.g. 9:00 in Tokyo, as the instant it happens.
+ * @param {Date} wallClock - A date whose local date and time are the wall clock time in the zone.
+ * @param {TimeZone} zone - The time zone of the wall clock.
+ * @returns {Date} - The instant, shown in the local time zone.
+ */
+export function fromZonedTime(wallClock, zone) {
+  const wallClockAsUTC = Date.UTC(
+    wallClock.getFullYear(),
+    wallClock.getMonth(),
+    wallClock.getDate(),
+    wallClock.getHours(),
+    wallClock.getMinutes(),
+    wallClock.getSeconds(),
+    wallClock.getMilliseconds()
+  );
+  // The offset can change between the guess and the actual instant around daylight saving time
+  const guess = wallClockAsUTC - getTimeZoneOffset(zone, wallClockAsUTC) * 60000;
+  return new Date(wallClockAsUTC - getTimeZoneOffset(zone, guess) * 60000);
+}
+
+/**
+ * Shows an instant on the wall clock of a time zone, e.g. the local time now as the time in Tokyo.
+ * @param {Date} date - The instant.
+ * @param {TimeZone} zone - The time zone to show it in.
+ * @returns {Date} - A date whose local date and time are the wall clock time in the zone.
+ */
+export function toZonedTime(date, zone) {
+  const shifted = new Date(date.getTime() + getTimeZoneOffset(zone, date.getTime()) * 60000);
+  return new Date(
+    shifted.getUTCFullYear(),
+    shifted.getUTCMonth(),
+    shifted.getUTCDate(),
+    shifted.getUTCHours(),
+    shifted.getUTCMinutes(),
+    shifted.getUTCSeconds(),
+    shifted.getUTCMilliseconds()
+  );
+}
+
+/**
+ * Checks if the Intl APIs know an IANA time zone.
+ * @param {string} timeZone - The IANA time zone, e.g. "Europe/Berlin".
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getWallClockFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets a cached formatter that shows the 24-hour wall clock time in a time zone.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the time zone is unknown.
+ */
+function getWallClockFormatter(timeZone) {
+  if (!wallClockFormatters.has(timeZone)) {
+    wallClockFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return wallClockFormatters.get(timeZone);
+}
+
+/**
+ * Indexes the IANA time zones known to the Intl APIs by their city, e.g. "America/New_York" by "new york".
+ * @returns {Map<string, string>}
+ */
+function getTimeZonesByCity() {
+  if (!timeZonesByCity) {
+    const timeZones =
+      typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    timeZonesByCity = new Map(
+      timeZones.map((timeZone) => [
+        timeZone.split("/").pop().replace(/_/g, " ").toLowerCase(),
+        timeZone,
+      ])
+    );
+  }
+  return timeZonesByCity;
+}
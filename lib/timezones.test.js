@@ -0,0 +1,64 @@
+// timezones.test.js
+import { fromZonedTime, getTimeZoneOffset, resolveTimeZone, toZonedTime } from "./timezones.js";
+
+describe("Time Zones", () => {
+  describe("resolveTimeZone", () => {
+    test.each([
+      ["Europe/Berlin", { timeZone: "Europe/Berlin" }],
+      ["Tokyo", { timeZone: "Asia/Tokyo" }],
+      ["new york", { timeZone: "America/New_York" }],
+      ["PST", { offset: -480 }],
+      ["ET", { timeZone: "America/New_York" }],
+      ["UTC", { offset: 0 }],
+      ["UTC+2", { offset: 120 }],
+      ["GMT-05:30", { offset: -330 }],
+    ])("should resolve %s", (name, expected) => {
+      expect(resolveTimeZone(name)).toEqual(expected);
+    });
+
+    test("should not resolve unknown time zones", () => {
+      expect(resolveTimeZone("Mars/Olympus_Mons")).toBeNull();
+      expect(resolveTimeZone("Atlantis")).toBeNull();
+      expect(resolveTimeZone("UTC+20")).toBeNull();
+      expect(resolveTimeZone("constructor")).toBeNull();
+      expect(resolveTimeZone("__proto__")).toBeNull();
+    });
+  });
+
+  test("getTimeZoneOffset should follow daylight saving time", () => {
+    const berlin = { timeZone: "Europe/Berlin" };
+    expect(getTimeZoneOffset(berlin, Date.UTC(2024, 0, 15))).toBe(60);
+    expect(getTimeZoneOffset(berlin, Date.UTC(2024, 6, 15))).toBe(120);
+    expect(getTimeZoneOffset({ timeZone: "Asia/Kolkata" }, Date.UTC(2024, 6, 15))).toBe(330);
+    expect(getTimeZoneOffset({ offset: -480 }, Date.UTC(2024, 6, 15))).toBe(-480);
+  });
+
+  describe("fromZonedTime", () => {
+    test("should read a wall clock time in a time zone", () => {
+      const wallClock = new Date(2024, 3, 28, 14, 0);
+      expect(fromZonedTime(wallClock, { timeZone: "Europe/Berlin" })).toEqual(
+        new Date(Date.UTC(2024, 3, 28, 12, 0))
+      );
+      expect(fromZonedTime(wallClock, { offset: -480 })).toEqual(
+        new Date(Date.UTC(2024, 3, 28, 22, 0))
+      );
+    });
+
+    test("should use the offset after a daylight saving time change", () => {
+      // New York moved to daylight saving time at 2am on March 10, 2024
+      const zone = { timeZone: "America/New_York" };
+      expect(fromZonedTime(new Date(2024, 2, 10, 1, 0), zone)).toEqual(
+        new Date(Date.UTC(2024, 2, 10, 6, 0))
+      );
+      expect(fromZonedTime(new Date(2024, 2, 10, 9, 0), zone)).toEqual(
+        new Date(Date.UTC(2024, 2, 10, 13, 0))
+      );
+    });
+  });
+
+  test("toZonedTime should show an instant on the wall clock of a time zone", () => {
+    const instant = new Date(Date.UTC(2024, 3, 27, 20, 30));
+    expect(toZonedTime(instant, { timeZone: "Asia/Tokyo" })).toEqual(new Date(2024, 3, 28, 5, 30));
+    expect(toZonedTime(instant, { offset: -420 })).toEqual(new Date(2024, 3, 27, 13, 30));
+  });
+});
@@ -55,5 +55,18 @@ View the [README on Github](https://github.com/lapluviosilla/amplenote-templater
     "Dynamic Template Tag (default: system/template)",
     "Global Default Template",
     "Tag Default Templates",
+    "Note Date Formats (separate multiple with ;)",
+    "Week Start Day (default: Sunday)",
+    "Fiscal Year Start Month (default: January)",
+    "Numeric Date Order (MDY or DMY, default: MDY)",
+    "Year Rollover for dates without a year (None, Upcoming or Recent, default: None)",
+    "Holidays (separate multiple with ;)",
+    "Holidays Note (name of a note listing one holiday per line)",
+    "Holiday Regions (US, UK or CA, default: US)",
+    "Custom Observances (Name = date expression, separate multiple with ;)",
+    "Times of Day (Name = time like Morning = 8:00, separate multiple with ;)",
+    "Hours without am/pm (24h or Daytime, default: 24h)",
+    "Language of expressions and dates (English, Spanish or German, default: English)",
+    "Unrecognized expressions (Alert, Mark or Ignore, default: Alert)",
   ],
 };